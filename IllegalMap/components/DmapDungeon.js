@@ -1,32 +1,45 @@
 import Dungeon from "../../BloomCore/dungeons/Dungeon"
-import { bcData, BufferedImage, clampAndMap, getDungeonMap, getMapColors, isBetween } from "../../BloomCore/utils/Utils"
-import { Checkmark, clearImage, defaultMapSize, DoorTypes, findAllConnected, roomsJson, RoomTypes } from "../utils/utils"
+import { bcData, BufferedImage, clampAndMap, getDungeonMap, getMapColors, getServerID, isBetween } from "../../BloomCore/utils/Utils"
+import { Checkmark, clearImage, defaultMapSize, DmapEvents, DoorTypes, findAllConnected, getCore, prefix, roomsJson, RoomTypes } from "../utils/utils"
 import Config, { mapEditGui } from "../utils/Config"
+import EventEmitter from "../utils/EventEmitter"
 import { DungeonPlayer } from "./DungeonPlayer"
 import Room from "./Room"
 import Door from "./Door"
 import DungeonMap from "./DungeonMap"
 
+const scoreMilestones = [270, 300]
+
+const SAVED_RUN_PATH = "data/savedRun.json"
+const SAVED_RUN_MAX_AGE = 600000 // Saved runs older than this (ms) are never restored
+
 /**
  * Class which stores and processed most of the data for the whole module.
  * 
  * The Rooms and Doors are all stored in the dungeonMap field (A DungeonMap class).
+ * 
+ * Things happening during the run are emitted as events, see DmapEvents for the full list.
  */
 export default new class DmapDungeon {
     constructor() {
 
+        this.events = new EventEmitter()
+
         this.reset()
 
-        this.playerRoomEnterListeners = []
-        this.playerRoomExitListeners = []
-        this.dungeonFullyScannedListeners = []
+        // The run saved before the last /ct reload, restored once we're back in the same dungeon
+        this.savedRun = this.readSavedRun()
         
         register("step", () => {
             if (!Dungeon.inDungeon || this.dungeonMap.fullyScanned) return
+
+            // Smaller floors have fewer spots to scan
+            if (Dungeon.floor && this.dungeonMap.floor !== Dungeon.floor) this.dungeonMap.setFloor(Dungeon.floor)
+
             this.dungeonMap.scan()
 
             if (this.dungeonMap.fullyScanned) {
-                this.dungeonFullyScannedListeners.forEach(func => func(this))
+                this.events.emit(DmapEvents.DUNGEON_SCANNED, this)
             }
             
             if (!Config().enabled) return
@@ -39,6 +52,12 @@ export default new class DmapDungeon {
             if (!Dungeon.inDungeon) return
 
             this.dungeonMap.checkRoomRotations()
+            // Keeps going after the dungeon has been scanned, for rooms which weren't in render distance while they were scanned
+            if (!Dungeon.bossEntry) {
+                const identified = this.dungeonMap.checkFingerprints()
+                identified.forEach(room => this.handleProbableRoom(room))
+                if (identified.length) this.redrawMap()
+            }
             // if ([...this.dungeonMap.rooms].some(a => a.rotation == null)) return
 
             // if (!this.dungeonMap.fullyScanned) return
@@ -73,10 +92,10 @@ export default new class DmapDungeon {
             if (!Client.getMinecraft().func_71356_B() || !Dungeon.inDungeon) return
             let room = this.getCurrentRoom()
             if (room == lastRoom) return
-            if (lastRoom) this.playerRoomExitListeners.forEach(f => f(null, lastRoom))
+            if (lastRoom) this.events.emit(DmapEvents.ROOM_EXIT, null, lastRoom)
             lastRoom = room
             if (!room) return
-            this.playerRoomEnterListeners.forEach(f => f(null, room))
+            this.events.emit(DmapEvents.ROOM_ENTER, null, room)
         })
 
         Dungeon.onMapData((mapData) => {
@@ -104,9 +123,28 @@ export default new class DmapDungeon {
         })
 
         Dungeon.registerWhenInDungeon(register("tick", () => {
-            this.dungeonMap.checkDoorsOpened()
+            const opened = this.dungeonMap.checkDoorsOpened()
+            opened.forEach(door => this.events.emit(DmapEvents.DOOR_OPENED, door))
         }))
 
+        // Things which BloomCore only keeps track of the current state of
+        Dungeon.registerWhenInDungeon(register("step", () => {
+            if (Dungeon.mimicKilled && !this.mimicKilled) this.events.emit(DmapEvents.MIMIC_KILLED)
+            this.mimicKilled = Dungeon.mimicKilled
+
+            if (Dungeon.bossEntry && !this.bossEntered) this.events.emit(DmapEvents.BOSS_ENTRY)
+            this.bossEntered = !!Dungeon.bossEntry
+
+            if (Dungeon.runEnded && !this.runEnded) this.events.emit(DmapEvents.RUN_END)
+            this.runEnded = Dungeon.runEnded
+
+            for (let milestone of scoreMilestones) {
+                if (Dungeon.score < milestone || this.scoreMilestones.has(milestone)) continue
+                this.scoreMilestones.add(milestone)
+                this.events.emit(DmapEvents.SCORE_MILESTONE, milestone, Dungeon.score)
+            }
+        }).setFps(4))
+
 
         // Update all players in render distance
         Dungeon.registerWhenInDungeon(register("step", () => {
@@ -149,8 +187,7 @@ export default new class DmapDungeon {
         register("step", () => {
             if ((!Dungeon.inDungeon || !Config().enabled) && !mapEditGui.isOpen()) return
 
-            let secretsForMax = Math.ceil(this.dungeonMap.secrets * Dungeon.secretsPercentNeeded)
-            let ms = Math.ceil(secretsForMax*((40 - (Dungeon.isPaul ? 10 : 0) - (Dungeon.mimicKilled ? 2 : 0) - (Dungeon.crypts > 5 ? 5 : Dungeon.crypts) + (Dungeon.deathPenalty))/40))
+            let ms = this.getMinSecrets()
 
             let totalSecrets = Dungeon.totalSecrets || this.dungeonMap.secrets
             let dSecrets = `&7Secrets: &b${Dungeon.secretsFound}&8-&e${totalSecrets - Dungeon.secretsFound}&8-&c${totalSecrets}`
@@ -162,8 +199,14 @@ export default new class DmapDungeon {
             let dScore = "&7Score: " + (Dungeon.score >= 300 ? `&a${Dungeon.score}` : Dungeon.score >= 270 ? `&e${Dungeon.score}` : `&c${Dungeon.score}`)
 
             const paulStar = Dungeon.isPaul ? "&b★" : ""
+
+            let dBlood = ""
+            if (Config().showBloodRoute) {
+                let bloodRoute = this.dungeonMap.getBloodRoute()
+                if (bloodRoute) dBlood = `&7Blood: &c${bloodRoute.witherDoors} Wither` + (bloodRoute.unopened.length ? ` &8(${bloodRoute.unopened.length} unopened)` : "")
+            }
         
-            this.mapLine1 = `${dSecrets}    ${dCrypts}    ${dMimic}`.trim()
+            this.mapLine1 = [dSecrets, dCrypts, dMimic, dBlood].filter(a => a).join("    ")
             this.mapLine2 = `${minSecrets}    ${dDeaths}    ${dScore}${paulStar}`.trim()
         }).setFps(4)
 
@@ -176,8 +219,8 @@ export default new class DmapDungeon {
 
                 // Room enter/exit event
                 if (currentRoom !== p.lastRoom) {
-                    if (p.lastRoom) this.playerRoomExitListeners.forEach(func => func(p, p.lastRoom))
-                    this.playerRoomEnterListeners.forEach(func => func(p, currentRoom))
+                    if (p.lastRoom) this.events.emit(DmapEvents.ROOM_EXIT, p, p.lastRoom)
+                    this.events.emit(DmapEvents.ROOM_ENTER, p, currentRoom)
                 }
                 if (!p.visitedRooms.has(currentRoom)) p.visitedRooms.set(currentRoom, 0)
                 if (p.lastRoomCheck) p.visitedRooms.set(currentRoom, p.visitedRooms.get(currentRoom) + Date.now() - p.lastRoomCheck)
@@ -204,7 +247,35 @@ export default new class DmapDungeon {
             player.deaths++
         }).setCriteria(/^ ☠ (\w+) .+$/)
 
-        register("worldUnload", () => this.reset())
+        register("worldUnload", () => {
+            this.savedRun = null
+            this.reset()
+        })
+
+        register("gameUnload", () => this.saveRun())
+
+        register("step", () => {
+            if (!this.savedRun) return
+            if (Date.now() - this.savedRun.savedAt > SAVED_RUN_MAX_AGE) {
+                this.savedRun = null
+                return
+            }
+
+            // Wait until we know which server we are on
+            const server = getServerID()
+            if (!Dungeon.inDungeon || !server) return
+
+            const savedRun = this.savedRun
+            this.savedRun = null
+            if (server !== savedRun.server) return
+
+            try {
+                this.loadJSON(savedRun)
+                ChatLib.chat(`${prefix} &aRestored the dungeon from before the reload.`)
+            } catch (e) {
+                console.error(`Dmap: Could not restore the saved run: ${e}`)
+            }
+        }).setFps(1)
 
         register("command", () => {
             this.dungeonMap.rooms.forEach(r => {
@@ -218,13 +289,30 @@ export default new class DmapDungeon {
             })
         }).setName("/doors")
 
-        register("chat", (keyType) => {
+        // The action bar shows how many secrets have been found in the room you are in, eg "3/5 Secrets"
+        Dungeon.registerWhenInDungeon(register("actionBar", (found) => {
+            const room = this.getCurrentRoom()
+            if (!room) return
+
+            const previous = room.foundSecrets ?? 0
+            room.foundSecrets = parseInt(found)
+            if (room.foundSecrets > previous) this.events.emit(DmapEvents.SECRETS_FOUND, room, room.foundSecrets, previous)
+        }).setCriteria(/(\d+)\/\d+ Secrets/))
+
+        register("chat", (player, keyType) => {
             if (keyType == "Wither") this.witherKeys++
             if (keyType == "Blood") this.bloodKey = true
-        }).setCriteria(/^(?:\[[^\]]+\] )*\w+ has obtained (\w+) Key!$/)
+            this.events.emit(DmapEvents.KEY_OBTAINED, keyType, player)
+        }).setCriteria(/^(?:\[[^\]]+\] )*(\w+) has obtained (\w+) Key!$/)
         
-        register("chat", () => this.witherKeys--).setCriteria(/^(?:\[[^\]]+\] )*\w+ opened a WITHER door!/)
-        register("chat", () => this.bloodKey = false).setCriteria(/^The BLOOD DOOR has been opened!$/)
+        register("chat", (player) => {
+            this.witherKeys--
+            this.events.emit(DmapEvents.KEY_USED, "Wither", player)
+        }).setCriteria(/^(?:\[[^\]]+\] )*(\w+) opened a WITHER door!/)
+        register("chat", () => {
+            this.bloodKey = false
+            this.events.emit(DmapEvents.KEY_USED, "Blood", null)
+        }).setCriteria(/^The BLOOD DOOR has been opened!$/)
 
         
 
@@ -239,6 +327,15 @@ export default new class DmapDungeon {
         this.witherKeys = 0
         this.bloodKey = false
 
+        /** @type {Room[] | null} */
+        this.clearPlan = null // Suggested room clear order from /dmap plan
+
+        // Used to emit events when these change
+        this.mimicKilled = false
+        this.bossEntered = false
+        this.runEnded = false
+        this.scoreMilestones = new Set()
+
         this.mapLine1 = "&cDungeon not fully"
         this.mapLine2 = "&cscanned!"
 
@@ -246,6 +343,98 @@ export default new class DmapDungeon {
         this.map = new Image(this.mapBuffered)
     }
 
+    /**
+     * The whole state of the current run: the map, the players' stats and the keys.
+     * @returns {Object}
+     */
+    toJSON() {
+        const rooms = [...this.dungeonMap.rooms]
+        return {
+            server: getServerID(),
+            savedAt: Date.now(),
+            map: this.dungeonMap.toJSON(),
+            players: this.players.map(p => p.toJSON(rooms)),
+            witherKeys: this.witherKeys,
+            bloodKey: this.bloodKey,
+            mimicKilled: this.mimicKilled,
+            bossEntered: this.bossEntered,
+            scoreMilestones: [...this.scoreMilestones]
+        }
+    }
+
+    /**
+     * Replaces the current run with one saved by DmapDungeon#toJSON.
+     * @param {Object} data 
+     */
+    loadJSON(data) {
+        this.dungeonMap = DungeonMap.fromJSON(data.map, Config().scanSetupTree || Config().witherDoorEsp)
+
+        const rooms = [...this.dungeonMap.rooms]
+        this.players = data.players.map(p => DungeonPlayer.fromJSON(p, rooms))
+
+        this.witherKeys = data.witherKeys
+        this.bloodKey = data.bloodKey
+        this.mimicKilled = data.mimicKilled
+        this.bossEntered = data.bossEntered
+        this.scoreMilestones = new Set(data.scoreMilestones)
+
+        this.redrawMap()
+    }
+
+    /**
+     * Saves the current run so that it can be restored after a /ct reload.
+     */
+    saveRun() {
+        if (!Dungeon.inDungeon || Dungeon.runEnded) return
+        FileLib.write("IllegalMap", SAVED_RUN_PATH, JSON.stringify(this.toJSON()), true)
+    }
+
+    /**
+     * Reads and deletes the run saved by DmapDungeon#saveRun, so that it's only ever restored once. If it's still needed, the
+     * next reload saves it again.
+     * @returns {Object | null} The saved run, if there is one
+     */
+    readSavedRun() {
+        const saved = FileLib.read("IllegalMap", SAVED_RUN_PATH)
+        if (!saved) return null
+        FileLib.delete("IllegalMap", SAVED_RUN_PATH)
+
+        try {
+            return JSON.parse(saved)
+        } catch (e) {
+            return null
+        }
+    }
+
+    /**
+     * Runs the function every time the event is emitted.
+     * @param {String} event - One of DmapEvents
+     * @param {Function} func - See DmapEvents for the arguments passed
+     * @returns {() => void} Removes the listener again
+     */
+    on(event, func) {
+        return this.events.on(event, func)
+    }
+
+    /**
+     * Runs the function the next time the event is emitted only.
+     * @param {String} event - One of DmapEvents
+     * @param {Function} func
+     * @returns {() => void} Removes the listener again
+     */
+    once(event, func) {
+        return this.events.once(event, func)
+    }
+
+    /**
+     * Removes a listener added with on or once.
+     * @param {String} event - One of DmapEvents
+     * @param {Function} func
+     */
+    off(event, func) {
+        this.events.off(event, func)
+    }
+
     /**
      * @callback RoomEnterExit
      * @param {DungeonPlayer} player
@@ -255,17 +444,19 @@ export default new class DmapDungeon {
     /**
      * Runs the function when a player enters a room. The DungeonPlayer and Room objects are passed.
      * @param {RoomEnterExit} func 
+     * @returns {() => void} Removes the listener again
      */
     onRoomEnter(func) {
-        this.playerRoomEnterListeners.push(func)
+        return this.on(DmapEvents.ROOM_ENTER, func)
     }
     
     /**
      * Runs the function when a player exits a room. The DungeonPlayer and Room objects are passed.
      * @param {RoomEnterExit} func 
+     * @returns {() => void} Removes the listener again
      */
     onRoomExit(func) {
-        this.playerRoomExitListeners.push(func)
+        return this.on(DmapEvents.ROOM_EXIT, func)
     }
 
     /**
@@ -276,9 +467,48 @@ export default new class DmapDungeon {
     /**
      * 
      * @param {DungeonFullyScanned} func 
+     * @returns {() => void} Removes the listener again
      */
     onDungeonAllScanned(func) {
-        this.dungeonFullyScannedListeners.push(func)
+        return this.on(DmapEvents.DUNGEON_SCANNED, func)
+    }
+
+    /**
+     * @callback CheckmarkChanged
+     * @param {Room} room
+     * @param {Number} previousCheckmark - The checkmark the room had before
+    */
+
+    /**
+     * Runs the function when the checkmark of a room on the hotbar map changes. The Room and its previous checkmark are passed.
+     * @param {CheckmarkChanged} func 
+     * @returns {() => void} Removes the listener again
+     */
+    onCheckmarkChanged(func) {
+        return this.on(DmapEvents.CHECKMARK_CHANGED, func)
+    }
+
+    /**
+     * @callback DoorOpened
+     * @param {Door} door
+    */
+
+    /**
+     * Runs the function when a wither, blood or entrance door is opened. The Door is passed.
+     * @param {DoorOpened} func 
+     * @returns {() => void} Removes the listener again
+     */
+    onDoorOpened(func) {
+        return this.on(DmapEvents.DOOR_OPENED, func)
+    }
+
+    /**
+     * Fills in the map with the rooms and doors shared by a party member's client.
+     * @param {Object} data - The payload of a mapShare message
+     */
+    mergeRemoteMap(data) {
+        if (!this.dungeonMap.mergeRemote(data) || !Config().enabled) return
+        this.redrawMap()
     }
 
     /**
@@ -309,6 +539,7 @@ export default new class DmapDungeon {
         for (let room of this.dungeonMap.rooms) {
             if (!room.components.length) continue
             let [x, y] = room.components[0]
+            let previousCheckmark = room.checkmark
 
             let mapX = Dungeon.mapCorner[0] + Math.floor(Dungeon.mapRoomSize/2) + Dungeon.mapGapSize * x
             let mapY = Dungeon.mapCorner[1] + Math.floor(Dungeon.mapRoomSize/2)+1 + Dungeon.mapGapSize * y
@@ -326,18 +557,20 @@ export default new class DmapDungeon {
 
             if (room.type == RoomTypes.UNKNOWN && !room.roofHeight) room.loadFromRoomMapColor(roomColor)
             
-            if (center == 30 && roomColor !== 30) {
-                if (!room.checkmark) this.handleRoomCleared(room)
-                room.checkmark = Checkmark.GREEN
-            }
-            else if (center == 34) {
-                if (!room.checkmark) this.handleRoomCleared(room)
-                room.checkmark = Checkmark.WHITE
-            }
+            if (center == 30 && roomColor !== 30) room.checkmark = Checkmark.GREEN
+            else if (center == 34) room.checkmark = Checkmark.WHITE
             else if (center == 18 && roomColor !== 18) room.checkmark = Checkmark.FAILED
             else if (room.checkmark == Checkmark.UNEXPLORED) {
                 room.checkmark = Checkmark.NONE
             }
+
+            // Green checkmarks mean every secret was found, even if nobody's action bar counted them
+            if (room.checkmark == Checkmark.GREEN && room.secrets) room.foundSecrets = room.secrets
+
+            if (room.checkmark !== previousCheckmark) {
+                if (previousCheckmark == Checkmark.NONE && (room.checkmark == Checkmark.GREEN || room.checkmark == Checkmark.WHITE)) this.handleRoomCleared(room)
+                this.events.emit(DmapEvents.CHECKMARK_CHANGED, room, previousCheckmark)
+            }
             
             room.draw(this.mapBuffered)
             room.updateRenderVariables()
@@ -383,7 +616,7 @@ export default new class DmapDungeon {
                     // ChatLib.chat(`Room at ${gx/2}, ${gz/2}`)
                     let room = new Room([[gx/2, gz/2]])
                     room.checkmark = Checkmark.UNEXPLORED
-                    this.dungeonMap.rooms.add(room)
+                    this.dungeonMap.addRoom(room)
                     // ChatLib.chat(`Added unknown room ${gx/2}, ${gz/2}`)
                     room.draw(this.mapBuffered)
                     continue
@@ -404,7 +637,7 @@ export default new class DmapDungeon {
                 }
                 let newRoom = new Room(components)
                 newRoom.loadFromRoomMapColor(roomColor)
-                this.dungeonMap.rooms.add(newRoom)
+                this.dungeonMap.addRoom(newRoom)
                 // ChatLib.chat(`New colored room ${color} - ${gx/2}, ${gz/2}`)
                 continue
             }
@@ -422,13 +655,33 @@ export default new class DmapDungeon {
             else if (color == 119) door.type = DoorTypes.WITHER
             else if (color == 18) door.type = DoorTypes.BLOOD
 
-            this.dungeonMap.doors.add(door)
+            this.dungeonMap.addDoor(door)
         }
 
+        this.dungeonMap.updateRoomCandidates()
+
         // this.updateMapImage()
         this.redrawMap()
     }
 
+    /**
+     * Called when a room without a known core was identified by its fingerprint.
+     * Logs its cores so they can be added to rooms.json with /newcore.
+     * @param {Room} room 
+     */
+    handleProbableRoom(room) {
+        const cores = room.realComponents.map(([x, z]) => getCore(x, z))
+        const similarity = Math.round(room.similarity * 100)
+        console.error(`Dmap: Identified ${room.name} by its fingerprint (${similarity}% similar). Unknown cores: ${cores.join(", ")}`)
+
+        if (!Config().suggestNewCores) return
+
+        new TextComponent(`${prefix} &eUnknown core, identified as ${room.getName(true)} &7(${similarity}% similar) &8[Add Core]`)
+            .setClick("suggest_command", `/newcore ${room.name.replace(/ /g, "_")}`)
+            .setHover("show_text", `&7Cores: &f${cores.join(", ")}\n&eRun /newcore while inside the room to add its cores.`)
+            .chat()
+    }
+
     /**
      * Called when a room gets cleared (No checkmark -> checkmark)
      * Updates the player's cleared rooms if they are in there.
@@ -441,6 +694,8 @@ export default new class DmapDungeon {
             if (players.length == 1) player.clearedRooms.solo++
             else player.clearedRooms.stacked++
         }
+
+        this.events.emit(DmapEvents.ROOM_CLEARED, room, players)
     }
 
     /**
@@ -526,7 +781,96 @@ export default new class DmapDungeon {
     highlightRooms(rooms) {
         this.dungeonMap.rooms.forEach(r => r.highlighted = false)
         rooms.forEach(room => room.highlighted = true)
-        this.updateMapImage()
+        this.redrawMap()
+    }
+
+    /**
+     * Highlights the rooms and doors of a route on the map, eg from DungeonMap#getRoomsTo with includeDoors.
+     * @param {(Room | Door)[]} route 
+     */
+    highlightRoute(route) {
+        this.dungeonMap.doors.forEach(d => d.highlighted = false)
+        route.forEach(thing => {
+            if (thing instanceof Door) thing.highlighted = true
+        })
+        this.highlightRooms(route.filter(thing => thing instanceof Room))
+    }
+
+    /**
+     * Removes every room and door highlight from the map.
+     */
+    clearHighlights() {
+        this.dungeonMap.doors.forEach(d => d.highlighted = false)
+        this.highlightRooms([])
+    }
+
+    /**
+     * Highlights the fastest route to Blood from the room the player is in, or from the Entrance if they aren't in one.
+     * @returns {Room[] | null} The rooms on the route, or null if there is no route (eg Blood hasn't been found yet)
+     */
+    highlightBloodRoute() {
+        const route = this.dungeonMap.getFastestRouteToBlood(this.getCurrentRoom(), true)
+        if (!route) return null
+
+        this.highlightRoute(route)
+        return route.filter(thing => thing instanceof Room)
+    }
+
+    /**
+     * The secrets needed for S+ (300 score) with the crypts, mimic, deaths and Paul taken into account.
+     * @returns {Number}
+     */
+    getMinSecrets() {
+        const secretsForMax = Math.ceil(this.dungeonMap.secrets * Dungeon.secretsPercentNeeded)
+        return Math.ceil(secretsForMax*((40 - (Dungeon.isPaul ? 10 : 0) - (Dungeon.mimicKilled ? 2 : 0) - (Dungeon.crypts > 5 ? 5 : Dungeon.crypts) + (Dungeon.deathPenalty))/40))
+    }
+
+    /**
+     * Plans which rooms to clear, in order, to get the rest of the secrets needed for S+ starting from the room the player is in.
+     * The plan is shown on the map until it is cleared with DmapDungeon#clearClearPlan.
+     * @returns {{rooms: Room[], secrets: Number, cost: Number, secretsNeeded: Number}}
+     */
+    planClearOrder() {
+        const secretsNeeded = Math.max(0, (Dungeon.minSecrets || this.getMinSecrets()) - (Dungeon.secretsFound ?? 0))
+        const startRoom = this.getCurrentRoom() ?? this.dungeonMap.getRoomFromName("Entrance")
+
+        const plan = this.dungeonMap.planClearOrder(startRoom, secretsNeeded)
+        this.clearPlan = plan.rooms
+
+        return Object.assign(plan, { secretsNeeded })
+    }
+
+    clearClearPlan() {
+        this.clearPlan = null
+    }
+
+    /**
+     * Score, secrets etc of the current run and how each player is doing. See the runStats definition in protocol.schema.json.
+     * @returns {Object}
+     */
+    getRunStats() {
+        return {
+            inDungeon: !!Dungeon.inDungeon,
+            floor: Dungeon.floor ?? null,
+            time: Dungeon.time ?? null,
+            score: Dungeon.score ?? 0,
+            secretsFound: Dungeon.secretsFound ?? 0,
+            totalSecrets: Dungeon.totalSecrets || this.dungeonMap.secrets,
+            crypts: Dungeon.crypts ?? 0,
+            deathPenalty: Dungeon.deathPenalty ?? 0,
+            mimicKilled: !!Dungeon.mimicKilled,
+            bossEntry: !!Dungeon.bossEntry,
+            runEnded: !!Dungeon.runEnded,
+            players: this.players.map(p => ({
+                name: p.player,
+                deaths: p.deaths,
+                clearedRooms: {
+                    solo: p.clearedRooms.solo,
+                    stacked: p.clearedRooms.stacked
+                },
+                currentRoom: p.currentRoom?.name ?? null
+            }))
+        }
     }
 
     /**
@@ -535,10 +879,11 @@ export default new class DmapDungeon {
      * @param {Room} startRoom - The room to start at. 
      * @param {Room} endRoom - The room to end at.
      * @param {Boolean} includeDoors 
+     * @param {Function} getCost - Find the cheapest route instead of the one with the fewest rooms, see DungeonMap#getRoomsTo
      */
-    getRoomsTo(startRoom, endRoom, includeDoors=false) {
+    getRoomsTo(startRoom, endRoom, includeDoors=false, getCost=null) {
         if (!startRoom) startRoom = this.getCurrentRoom()
-        return this.dungeonMap.getRoomsTo(startRoom, endRoom, includeDoors)
+        return this.dungeonMap.getRoomsTo(startRoom, endRoom, includeDoors, getCost)
     }
     
 }
\ No newline at end of file
@@ -0,0 +1,453 @@
+import WebSocket from "WebSocket"
+import Config from "../utils/Config"
+import DmapDungeon from "./DmapDungeon"
+import { prefix, SocketStateNames, SocketStates } from "../utils/utils"
+import { createMessage, MessageTypes, parseMessage, validateMessage } from "../utils/Protocol"
+
+const BASE_RECONNECT_DELAY = 1000 // ms, doubled for every failed attempt
+const VERSION = JSON.parse(FileLib.read("IllegalMap", "metadata.json")).version
+const HEARTBEAT_TIMEOUT_INTERVALS = 2 // Intervals without hearing from the server before the connection is considered dead
+
+// Only the latest message of these types is worth sending, older ones still in the queue are replaced
+const COALESCED_TYPES = new Set(["doorLocations", "playerPositions", "mapSnapshot"])
+// Only mean anything on the connection they were sent on
+const UNQUEUED_TYPES = new Set(["identification", "ping", "pong", "ack"])
+
+/**
+ * Handles the WebSocket connection used to send dungeon data to external tools.
+ *
+ * The server address is built from the Socket settings. Lost connections are reopened with exponential backoff
+ * and jitter, and a ping/pong heartbeat is used to find connections which are open on our end but dead on the server's.
+ * Messages sent while the connection is down are queued and sent once it is back.
+ */
+export default new class DmapSocket {
+    constructor() {
+        /** @type {WebSocket} */
+        this.ws = null
+        this.url = null
+        this.state = SocketStates.DISCONNECTED
+
+        this.reconnectAttempts = 0
+        this.nextReconnect = null
+
+        this.lastPing = 0
+        this.lastMessage = 0
+
+        this.seq = 0 // Sequence number of the next message sent
+
+        this.rejectionReason = null // Why the server last refused the handshake
+
+        /** @type {{type: String, message: String}[]} */
+        this.queue = [] // Messages waiting for the connection to come back, oldest first
+        this.droppedMessages = 0 // Messages pushed out of the full queue
+
+        /** @type {Map<String, {callback: MessageHandler, replyType: String}>} */
+        this.handlers = new Map()
+
+        this.onMessage("ping", () => ({}), "pong")
+        this.onMessage("pong", () => {}, null) // Heartbeat replies only need to update lastMessage
+
+        this.onMessage("handshakeAccepted", () => {
+            print(`Dmap: WebSocket server accepted the connection.`)
+        }, null)
+
+        // Reconnecting won't change the server's mind, so stop until the user reconnects manually
+        this.onMessage("handshakeRejected", ({ reason }) => {
+            this.rejectionReason = reason
+            this.disconnect()
+            ChatLib.chat(`${prefix} &cThe WebSocket server rejected the connection: &f${reason}`)
+            ChatLib.chat(`&7  Fix the Socket settings, then use &f/dmap wsreconnect&7.`)
+        }, null)
+
+        // Reconnects and heartbeat. Not done with setTimeout since the timers can't be cancelled.
+        register("step", () => {
+            if (this.state == SocketStates.RECONNECTING && Date.now() >= this.nextReconnect) {
+                this.connect()
+                return
+            }
+
+            if (this.state !== SocketStates.OPEN) return
+
+            const interval = Config().socketHeartbeat * 1000
+            if (!interval) return
+
+            // Half-open connection, the server is gone but we were never told.
+            if (Date.now() - this.lastMessage > interval * HEARTBEAT_TIMEOUT_INTERVALS) {
+                console.error(`Dmap: No response from the WebSocket server in ${Math.floor((Date.now() - this.lastMessage) / 1000)}s, reconnecting.`)
+                this.closeSocket()
+                this.handleDisconnect()
+                return
+            }
+
+            if (Date.now() - this.lastPing < interval) return
+            this.lastPing = Date.now()
+            this.send("ping")
+        }).setFps(2)
+
+        Config().getConfig().registerListener("socketEnabled", (prev, curr) => {
+            if (curr) this.connect()
+            else this.disconnect()
+        })
+    }
+
+    /**
+     * Builds the WebSocket url from the host, port and path settings.
+     * @returns {String}
+     */
+    getUrl() {
+        let host = Config().socketHost.trim() || "localhost"
+        let scheme = "ws://"
+
+        const schemeMatch = host.match(/^(wss?:\/\/)(.+)$/)
+        if (schemeMatch) {
+            scheme = schemeMatch[1]
+            host = schemeMatch[2]
+        }
+        host = host.replace(/\/+$/, "")
+
+        const port = parseInt(Config().socketPort)
+        let path = Config().socketPath.trim()
+        if (path && !path.startsWith("/")) path = "/" + path
+
+        return `${scheme}${host}${isNaN(port) ? "" : `:${port}`}${path}`
+    }
+
+    /**
+     * @param {Number} state - A value from SocketStates
+     */
+    setState(state) {
+        this.state = state
+    }
+
+    isOpen() {
+        return this.state == SocketStates.OPEN
+    }
+
+    /**
+     * Opens a new connection, closing the current one if there is one.
+     */
+    connect() {
+        this.closeSocket()
+
+        this.url = this.getUrl()
+        this.nextReconnect = null
+        this.rejectionReason = null
+        this.setState(SocketStates.CONNECTING)
+
+        print(`Dmap: Attempting to connect to WebSocket at ${this.url}...`)
+
+        const ws = new WebSocket(this.url)
+        this.ws = ws
+
+        // Callbacks from a socket which has since been replaced are ignored
+        ws.onOpen = () => {
+            if (ws !== this.ws) return
+
+            print("Dmap: WebSocket connection opened.")
+            this.reconnectAttempts = 0
+            this.lastPing = Date.now()
+            this.lastMessage = Date.now()
+            this.setState(SocketStates.OPEN)
+
+            // Identify first so that the server knows who the queued messages are from
+            this.identify()
+            this.flushQueue()
+        }
+
+        ws.onMessage = (msg) => {
+            if (ws !== this.ws) return
+
+            this.lastMessage = Date.now()
+            this.handleMessage(msg)
+        }
+
+        ws.onError = (exception) => {
+            if (ws !== this.ws) return
+
+            console.error("Dmap: WebSocket error: " + exception)
+            this.closeSocket()
+            this.handleDisconnect()
+        }
+
+        ws.onClose = (code, reason) => {
+            if (ws !== this.ws) return
+
+            print(`Dmap: WebSocket connection closed. Code: ${code}, Reason: ${reason}`)
+            this.ws = null
+            this.handleDisconnect()
+        }
+
+        try {
+            ws.connect()
+        } catch (e) {
+            console.error("Dmap: WebSocket connection failed immediately: " + e)
+            this.ws = null
+            this.handleDisconnect()
+        }
+    }
+
+    /**
+     * Closes the connection without reconnecting.
+     */
+    disconnect() {
+        this.closeSocket()
+        this.nextReconnect = null
+        this.reconnectAttempts = 0
+        this.queue = []
+        this.setState(SocketStates.DISCONNECTED)
+    }
+
+    /**
+     * Closes the current socket, if any. Any callbacks it fires afterwards are ignored.
+     */
+    closeSocket() {
+        if (!this.ws) return
+
+        const ws = this.ws
+        this.ws = null
+        try {
+            ws.close()
+        } catch (e) {} // Ignore errors during close
+    }
+
+    /**
+     * Called whenever the connection is lost or could not be made. Schedules the next reconnect attempt.
+     */
+    handleDisconnect() {
+        if (!Config().socketEnabled || !Config().socketAutoReconnect) {
+            this.setState(SocketStates.DISCONNECTED)
+            return
+        }
+
+        // Exponential backoff with jitter so that every client doesn't reconnect at the same time after a server restart
+        const maxDelay = Config().socketMaxBackoff * 1000
+        const delay = Math.min(BASE_RECONNECT_DELAY * Math.pow(2, this.reconnectAttempts), maxDelay)
+        const jittered = delay/2 + Math.random() * delay/2
+
+        this.reconnectAttempts++
+        this.nextReconnect = Date.now() + jittered
+        this.setState(SocketStates.RECONNECTING)
+
+        print(`Dmap: Reconnecting to WebSocket in ${Math.round(jittered / 100) / 10}s (attempt ${this.reconnectAttempts}).`)
+    }
+
+    /**
+     * The name put in the sender field of every message.
+     * @returns {String}
+     */
+    getSender() {
+        return Player.getName()
+    }
+
+    /**
+     * The player's UUID without dashes, taken from the player's DungeonPlayer if their Mojang info has been loaded.
+     * @returns {String | null}
+     */
+    getUUID() {
+        const dungeonPlayer = DmapDungeon.players.find(p => p.player == Player.getName())
+        if (dungeonPlayer?.uuid) return dungeonPlayer.uuid.replace(/-/g, "")
+
+        try {
+            return Player.getUUID().toString().replace(/-/g, "")
+        } catch (e) { // Not in a world yet
+            return null
+        }
+    }
+
+    /**
+     * Sends who this client is, and the token if one is set.
+     */
+    identify() {
+        const payload = {
+            name: this.getSender(),
+            uuid: this.getUUID(),
+            version: VERSION
+        }
+
+        const token = Config().socketToken.trim()
+        if (token) payload.token = token
+
+        this.send("identification", payload)
+        print(`Dmap: Sent identification as [${payload.name}]`)
+    }
+
+    /**
+     * @param {String} msg - The raw message received from the server
+     */
+    handleMessage(msg) {
+        const { message, errors } = parseMessage(msg)
+
+        if (message && !MessageTypes.has(message.type)) {
+            print(`Dmap: Ignoring WebSocket message with unknown type "${message.type}": ${msg}`)
+            return
+        }
+        if (errors.length) {
+            print(`Dmap: Ignoring invalid WebSocket message (${errors.join("; ")}): ${msg}`)
+            return
+        }
+
+        // Messages arrive on the socket's thread, handle them on the game thread instead
+        Client.scheduleTask(() => this.dispatch(message))
+    }
+
+    /**
+     * @callback MessageHandler
+     * @param {Object} payload - The payload of the received message
+     * @param {Object} message - The whole message, including the envelope
+     * @returns {Object | undefined} The payload of the reply, if the handler has a reply type other than ack
+     */
+
+    /**
+     * Registers the handler for a type of message received from the server. Only one handler can exist per type.
+     * 
+     * If the reply type is "ack", the request is acknowledged when the handler finishes (or fails by throwing an error), but only if the request had an id.
+     * If it is null, nothing is sent back. Otherwise whatever the handler returns is sent back as a message of the reply type.
+     * @param {String} type
+     * @param {MessageHandler} callback
+     * @param {String | null} replyType
+     */
+    onMessage(type, callback, replyType="ack") {
+        this.handlers.set(type, { callback, replyType })
+    }
+
+    /**
+     * Runs the handler for a received message and sends the reply.
+     * @param {Object} message
+     */
+    dispatch(message) {
+        const handler = this.handlers.get(message.type)
+        if (!handler) {
+            print(`Dmap: No handler for WebSocket message of type "${message.type}"`)
+            this.reply(message, "ack", { ok: false, error: `Unhandled message type "${message.type}"` })
+            return
+        }
+
+        let result
+        try {
+            result = handler.callback(message.payload, message)
+        } catch (e) {
+            console.error(`Dmap: Error handling WebSocket message of type "${message.type}": ${e}`)
+            this.reply(message, "ack", { ok: false, error: `${e.message ?? e}` })
+            return
+        }
+
+        if (!handler.replyType) return
+        if (handler.replyType == "ack") this.reply(message, "ack", { ok: true })
+        else this.reply(message, handler.replyType, result)
+    }
+
+    /**
+     * Replies to a request from the server. Acks are only sent if the request has an id.
+     * @param {Object} request - The received message
+     * @param {String} type - The type of the reply
+     * @param {Object} payload
+     * @returns {Boolean} Whether the reply was sent
+     */
+    reply(request, type, payload) {
+        const hasId = request.id !== undefined && request.id !== null
+        if (type == "ack" && !hasId) return false
+
+        return this.send(type, payload, hasId ? { replyTo: request.id } : {})
+    }
+
+    /**
+     * Wraps the payload in the message envelope, validates it against the protocol schema and sends it.
+     * Invalid messages are logged and not sent. If the connection is down, the message is queued instead.
+     * @param {String} type - One of the message types in protocol.schema.json
+     * @param {Object} payload
+     * @param {Object} extra - Extra envelope fields, eg replyTo
+     * @returns {Boolean} Whether the message was sent or queued
+     */
+    send(type, payload={}, extra={}) {
+        const message = Object.assign(createMessage(type, payload, this.seq, this.getSender()), extra)
+
+        const errors = validateMessage(message)
+        if (errors.length) {
+            console.error(`Dmap: Not sending invalid "${type}" message (${errors.join("; ")})`)
+            return false
+        }
+
+        this.seq++
+        const raw = JSON.stringify(message)
+
+        // Replies are for requests made on a connection which is gone by the time the queue is flushed, so they are never queued.
+        // They don't have to wait for the queue either, eg the identification has to go out before the queued messages.
+        if (UNQUEUED_TYPES.has(type) || "replyTo" in message) return this.sendRaw(raw)
+
+        // Anything still queued has to go out first to keep the order
+        if (!this.queue.length && this.sendRaw(raw)) return true
+
+        return this.enqueue(type, raw)
+    }
+
+    /**
+     * Holds on to a message until the connection is back.
+     * @param {String} type
+     * @param {String} message - The serialized message
+     * @returns {Boolean} Whether the message was queued
+     */
+    enqueue(type, message) {
+        const maxSize = Config().socketQueueSize
+        if (!Config().socketEnabled || maxSize <= 0) return false
+
+        if (COALESCED_TYPES.has(type)) this.queue = this.queue.filter(m => m.type !== type)
+
+        this.queue.push({ type, message })
+
+        while (this.queue.length > maxSize) {
+            this.queue.shift()
+            this.droppedMessages++
+        }
+
+        return true
+    }
+
+    /**
+     * Sends the queued messages in order, stopping at the first one which fails to send.
+     */
+    flushQueue() {
+        if (!this.queue.length) return
+
+        const queued = this.queue.length
+        while (this.queue.length && this.sendRaw(this.queue[0].message)) {
+            this.queue.shift()
+        }
+
+        print(`Dmap: Sent ${queued - this.queue.length}/${queued} queued WebSocket messages.`)
+    }
+
+    /**
+     * Sends a message if the connection is open. Messages sent while disconnected are dropped.
+     * @param {String} message
+     * @returns {Boolean} Whether the message was sent
+     */
+    sendRaw(message) {
+        if (!this.ws || !this.isOpen()) return false
+
+        try {
+            this.ws.send(message)
+            return true
+        } catch (e) {
+            console.error("WebSocket send error: " + e)
+            return false
+        }
+    }
+
+    /**
+     * Prints the current state of the connection in chat.
+     */
+    printStatus() {
+        ChatLib.chat(`${prefix} &bWebSocket: ${SocketStateNames.get(this.state)}`)
+        ChatLib.chat(`&7  Url: &f${this.url ?? this.getUrl()}`)
+        if (this.state == SocketStates.DISCONNECTED && this.rejectionReason) {
+            ChatLib.chat(`&7  Rejected by the server: &c${this.rejectionReason}`)
+        }
+        if (this.state == SocketStates.RECONNECTING) {
+            ChatLib.chat(`&7  Next attempt in &f${Math.max(0, Math.ceil((this.nextReconnect - Date.now()) / 1000))}s &7(attempt &f${this.reconnectAttempts + 1}&7)`)
+        }
+        if (this.state == SocketStates.OPEN && this.lastMessage) {
+            ChatLib.chat(`&7  Last heard from server &f${Math.floor((Date.now() - this.lastMessage) / 1000)}s &7ago`)
+        }
+        ChatLib.chat(`&7  Queued: &f${this.queue.length}&7/&f${Config().socketQueueSize} &7Dropped: ${this.droppedMessages ? "&c" : "&f"}${this.droppedMessages}`)
+    }
+}
\ No newline at end of file
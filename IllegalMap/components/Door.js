@@ -1,7 +1,8 @@
 import Dungeon from "../../BloomCore/dungeons/Dungeon"
-import { chunkLoaded, Color, colorShift } from "../../BloomCore/utils/Utils"
+import { Color, colorShift } from "../../BloomCore/utils/Utils"
 import { DoorTypes, setPixels } from "../utils/utils"
 import Config from "../utils/Config"
+import { getBlockProvider } from "../utils/BlockProvider"
 
 const doorTypeColors = new Map([
     [DoorTypes.NORMAL, new Color(92/255, 52/255, 14/255, 1)],
@@ -60,9 +61,10 @@ export default class Door {
         setPixels(bufferedImage, this.gx*2+1, this.gz*2+1, 1, 1, this.getColor())
     }
     updateType() {
-        if (!chunkLoaded(this.x, 69, this.z)) return
+        const blocks = getBlockProvider()
+        if (!blocks.isLoaded(this.x, 69, this.z)) return
 
-        const id = World.getBlockAt(this.x, 69, this.z).type.getID()
+        const id = blocks.getBlockId(this.x, 69, this.z)
 
         if (id == 0 || id == 166) return
 
@@ -72,10 +74,17 @@ export default class Door {
 
         this.opened = false
     }
+    /**
+     * Updates whether this door has been opened.
+     * @returns {Boolean} True if the door was opened since the last check
+     */
     checkOpened() {
-        if (!canBeOpened.includes(this.type) || !chunkLoaded(this.x, 69, this.z)) return
+        const blocks = getBlockProvider()
+        if (!canBeOpened.includes(this.type) || !blocks.isLoaded(this.x, 69, this.z)) return false
         
-        this.opened = World.getBlockAt(this.x, 69, this.z).type.getID() == 0
+        const wasOpened = this.opened
+        this.opened = blocks.getBlockId(this.x, 69, this.z) == 0
+        return this.opened && !wasOpened
     }
     setType(type) {
         this.type = type
@@ -84,6 +93,52 @@ export default class Door {
     getCoords() {
         return [this.x, 69, this.z]
     }
+    /**
+     * Everything needed to recreate this door with Door.fromJSON.
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            x: this.x,
+            z: this.z,
+            gx: this.gx,
+            gz: this.gz,
+            type: this.type,
+            rotation: this.rotation,
+            opened: this.opened,
+            explored: this.explored,
+            highlighted: this.highlighted
+        }
+    }
+    /**
+     * Recreates a door saved with Door#toJSON.
+     * @param {Object} data
+     * @returns {Door}
+     */
+    static fromJSON(data) {
+        const door = new Door(data.x, data.z, data.gx, data.gz)
+        door.type = data.type
+        door.rotation = data.rotation
+        door.opened = data.opened
+        door.explored = data.explored
+        door.highlighted = data.highlighted
+        return door
+    }
+    /**
+     * The state of this door sent over the WebSocket. See the door definition in protocol.schema.json.
+     * @returns {Object}
+     */
+    getSnapshot() {
+        return {
+            gx: this.gx,
+            gz: this.gz,
+            x: this.x,
+            z: this.z,
+            type: this.type,
+            opened: this.opened,
+            explored: this.explored
+        }
+    }
     toString() {
         return `Door[&7component=${JSON.stringify([this.gx, this.gz])}&f, &dx=${this.x}&f, &dz=${this.z}&f, &erotation=${this.rotation}&f, &aopen=${this.opened}&f]`
     }
@@ -1,9 +1,68 @@
 import Dungeon from "../../BloomCore/dungeons/Dungeon"
-import { chunkLoaded } from "../../BloomCore/utils/Utils"
 import Config from "../utils/Config"
-import { DoorTypes, RoomTypes, dungeonCorners, getHighestBlock, halfCombinedSize, halfRoomSize, realCoordToComponent, roomsJson } from "../utils/utils"
+import { Checkmark, DoorTypes, RoomMap, RoomTypes, RotationSources, componentToRealCoords, dungeonCorners, getFloorDimensions, getHighestBlock, halfCombinedSize, halfRoomSize, realCoordToComponent, roomsJson } from "../utils/utils"
 import Door from "./Door"
 import Room from "./Room"
+import { createMapString, parseMapString } from "../utils/MapString"
+import { getKnownDoors, getRoomCandidates } from "../utils/RoomCandidates"
+import { addFingerprint, getFingerprint, hasFingerprint } from "../utils/RoomFingerprint"
+import { getBlockProvider } from "../utils/BlockProvider"
+import { getMapScore } from "../utils/MapScoring"
+import { getBloodRouteReport } from "../utils/BloodRoute"
+
+const JSON_VERSION = 1 // Bump when DungeonMap#toJSON changes in a way older saves can't be loaded with
+
+const DEFAULT_CLEAR_SCORE = 3 // For rooms without a clearScore in rooms.json
+const SECRET_COST = 1 // Cost of collecting one secret, on the same scale as defaultRouteCost
+
+/**
+ * @callback RouteCost
+ * @param {Room} room - The room being walked into
+ * @param {Door} door - The door it is walked into through
+ * @returns {Number} How long it takes to get through the door and the room, in no particular unit. Infinity to never go there.
+ */
+
+/**
+ * The default costs for DungeonMap#getRoomsTo. Bigger rooms take longer to walk through, rooms which haven't been cleared
+ * take longer depending on their clearScore, and closed wither/blood doors need a key to be found first.
+ * @type {RouteCost}
+ */
+export const defaultRouteCost = (room, door) => {
+    let cost = room.components.length
+
+    const cleared = room.checkmark == Checkmark.WHITE || room.checkmark == Checkmark.GREEN
+    if (!cleared && room.type !== RoomTypes.BLOOD && room.type !== RoomTypes.ENTRANCE) {
+        cost += (RoomMap.get(room.roomID)?.clearScore ?? DEFAULT_CLEAR_SCORE) / 2
+        if (room.type == RoomTypes.TRAP) cost += 3
+    }
+
+    if ((door.type == DoorTypes.WITHER || door.type == DoorTypes.BLOOD) && !door.opened) cost += 2
+
+    return cost
+}
+
+/**
+ * @typedef {Object} DungeonMapDiff
+ * @property {{added: Room[], removed: Room[], changed: {from: Room, to: Room, changes: String[]}[]}} rooms - changes has "components" and/or "roomID"
+ * @property {{added: Door[], removed: Door[], changed: {from: Door, to: Door}[]}} doors - Changed doors have a different type
+ * @property {{from: Room, to: Room}[]} checkmarks - Rooms which are in both maps with a different checkmark
+ */
+
+// Size of the grid index, in 0-10 grid coordinates
+const GRID_SIZE = 11
+
+/**
+ * Where a spot on the map is in the grid index.
+ * @param {Number} gx - 0-10 grid coordinate
+ * @param {Number} gz 
+ * @returns {Number} -1 if the spot isn't on the map
+ */
+const getGridIndex = (gx, gz) => {
+    if (!Number.isInteger(gx) || !Number.isInteger(gz) || gx < 0 || gz < 0 || gx >= GRID_SIZE || gz >= GRID_SIZE) return -1
+    return gx + gz * GRID_SIZE
+}
+
+const getComponentsKey = (room) => room.components.map(([x, z]) => `${x},${z}`).join("|")
 
 /**
  * Stores the rooms and doors. Separate from DmapDungeon so that 'fake' dungeons can be created
@@ -12,56 +71,54 @@ import Room from "./Room"
 export default class DungeonMap {
 
     /**
-     * Creates a new DungeonMap filled with rooms and doors from a log string (see DungeonMap#convertToString)
+     * Creates a new DungeonMap filled with rooms and doors from a map string of any version (see utils/MapString.js)
      * @param {String} mapString 
      * @param {Boolean} setupTree - Finds the parent and children for every room. 
+     * @throws {Error} If the string is invalid, with the list of problems in its errors field (see MapStringErrors)
      */
     static fromString(mapString, setupTree) {
+        const { floor, timestamp, width, height, rooms, doors } = parseMapString(mapString)
         const map = new DungeonMap()
-        let [floor, timeStamp, roomsStr, doorsStr] = mapString.split(";")
 
         map.floor = floor
+        map.timestamp = timestamp
+        map.width = width
+        map.height = height
+        map.scanCoords = map.getScanCoords()
+
+        for (let { x, z, type } of doors) {
+            const door = new Door(-200+x*16, -200+z*16, x, z).setType(type)
+            door.explored = true
+            door.opened = false
+            map.addDoor(door)
+        }
         
+        // Group the components of each room. Unknown rooms can't be told apart, so each of their components is its own room.
         const components = new Map() // roomID: [[0, 0], [0, 1], [1, 1]]
-        const roomIDs = []
-        for (let i = 0; i < roomsStr.length; i += 3) {
-            roomIDs.push(parseInt(roomsStr.substring(i, i+3)))
-        }
-        const doorIDs = doorsStr.split("").map(a => parseInt(a))
-
-        map.getScanCoords().forEach((v, k) => {
-            let [x, y] = k
-            
-            // Door
-            if (x%2 || y%2) {
-                const doorType = doorIDs.shift()
-                if (doorType == 9) return
-                const door = new Door(-200+x*16, -200+y*16, x, y).setType(doorType)
-                door.explored = true
-                door.opened = false
-                map.doors.add(door)
-                return
+        const unknown = []
+        for (let { x, z, roomID } of rooms) {
+            if (roomID == null) {
+                unknown.push([[x, z]])
+                continue
             }
-            
-            // Room
-            const roomID = roomIDs.shift()
-            if (roomID == 999) return
             if (!components.has(roomID)) components.set(roomID, [])
-            components.get(roomID).push([x/2, y/2])
-        })
+            components.get(roomID).push([x, z])
+        }
 
         // Create rooms
         components.forEach((v, k) => {
             let room = new Room(v)
             room.loadFromRoomId(k)
             room.explored = true
-            map.rooms.add(room)
-    
-            map.secrets += room.secrets
-            map.crypts += room.crypts
-
+            map.addRoom(room)
+        })
+        unknown.forEach(v => {
+            let room = new Room(v)
+            room.explored = true
+            map.addRoom(room)
         })
 
+        map.updateTotals()
         if (setupTree) map.setupTree()
         map.calcMapScore()
         map.string = mapString
@@ -69,6 +126,37 @@ export default class DungeonMap {
         return map
     }
 
+    /**
+     * Creates a new DungeonMap from the object made by DungeonMap#toJSON.
+     * @param {Object} data 
+     * @param {Boolean} setupTree - Finds the parent and children for every room.
+     * @returns {DungeonMap}
+     */
+    static fromJSON(data, setupTree) {
+        if (data?.version !== JSON_VERSION) throw new Error(`Unsupported DungeonMap format version ${data?.version}, expected ${JSON_VERSION}`)
+
+        const map = new DungeonMap()
+        map.floor = data.floor
+        if (data.floor) map.setFloor(data.floor)
+        map.timestamp = data.timestamp
+        map.fullyScanned = data.fullyScanned
+
+        // Only keep the spots which hadn't been scanned yet
+        const unscanned = new Set(data.scanCoords.map(c => c.join(",")))
+        map.scanCoords.forEach((v, k) => {
+            if (!unscanned.has(k.join(","))) map.scanCoords.delete(k)
+        })
+
+        data.rooms.forEach(r => map.addRoom(Room.fromJSON(r)))
+        data.doors.forEach(d => map.addDoor(Door.fromJSON(d)))
+
+        map.updateTotals()
+        if (setupTree) map.setupTree()
+        map.calcMapScore()
+
+        return map
+    }
+
     constructor() {
         /** @type {Set<Room>} */
         this.rooms = new Set()
@@ -77,6 +165,21 @@ export default class DungeonMap {
 
         this.roomIDMap = new Map()
 
+        // The room or door at every spot on the map, so that they can be looked up without going through all of them.
+        // Indexed by getGridIndex. Kept up to date by addRoom, removeRoom, addDoor and rooms having components added.
+        /** @type {(Room | Door | null)[]} */
+        this.grid = new Array(GRID_SIZE * GRID_SIZE).fill(null)
+
+        this.treeDirty = true // Whether rooms, doors or room IDs changed since the tree was last set up
+        this.treeNeedsRebuild = true // Rooms were removed, so the tree has to be set up from scratch
+        /** @type {Set<Room>} */
+        this.changedRooms = new Set() // Rooms which got new components or doors since the tree was last set up
+        this.treeRoot = null // The Entrance the tree was set up from
+
+        // Size of the dungeon in rooms
+        this.width = 6
+        this.height = 6
+
         this.scanCoords = this.getScanCoords()
         this.fullyScanned = false
 
@@ -84,43 +187,134 @@ export default class DungeonMap {
         this.crypts = 0
 
         this.mapScore = Infinity // How good the map is. Lower values are better.
+        this.scoreBreakdown = null // What the map score is made up of, see DungeonMap#calcMapScore
     }
     
     /**
-     * Adds a room to this DungeonMap. Only used for the logging system for optimization.
+     * Adds a room to this DungeonMap. If a room with the same roomID is already on the map, the new room is merged into it instead.
      * @param {Room} room 
-     * @returns 
+     * @returns {Room} The room which is on the map now, either the new one or the one it was merged into
      */
     addRoom(room) {
         if (room.roomID) {
             const existing = this.roomIDMap.get(room.roomID)
             if (existing) {
                 existing.merge(room)
-                return
+                return existing
             }
             this.roomIDMap.set(room.roomID, room)
         }
         this.rooms.add(room)
+        this.indexRoom(room)
+        return room
     }
 
     /**
-     * Removes a room and its roomID. Only used for the logging system.
+     * Removes a room and its roomID.
      * @param {Room} room 
      */
     removeRoom(room) {
-        if (room.roomID) this.roomIDMap.delete(room.roomID)
         this.rooms.delete(room)
+        if (room.roomID !== null && this.roomIDMap.get(room.roomID) == room) {
+            this.roomIDMap.delete(room.roomID)
+
+            // The room it was merged into can have the same roomID
+            const other = [...this.rooms].find(r => r.roomID == room.roomID)
+            if (other) this.roomIDMap.set(other.roomID, other)
+        }
+
+        // Spots which were merged into another room already point to that room instead
+        this.grid.forEach((thing, i) => {
+            if (thing == room) this.grid[i] = null
+        })
+        room.onAddComponent = null
+        room.onRoomIDChanged = null
+        this.treeDirty = true
+        this.treeNeedsRebuild = true
+    }
+
+    /**
+     * Marks a room as needing its part of the tree updated.
+     * @param {Room} room 
+     */
+    markRoomChanged(room) {
+        this.changedRooms.add(room)
+        this.treeDirty = true
+    }
+
+    /**
+     * Keeps roomIDMap pointing at a room on the map for every roomID. If another room on the map already has the roomID,
+     * it stays in roomIDMap until it's removed.
+     * @param {Room} room 
+     * @param {Number | null} previousID - The roomID the room had before
+     */
+    updateRoomID(room, previousID) {
+        if (previousID !== null && this.roomIDMap.get(previousID) == room) this.roomIDMap.delete(previousID)
+        if (room.roomID !== null && !this.rooms.has(this.roomIDMap.get(room.roomID))) this.roomIDMap.set(room.roomID, room)
+
+        // Identifying a room can change where Entrance and Blood are
+        this.markRoomChanged(room)
+    }
+
+    /**
+     * Puts a room into the grid index and keeps it and roomIDMap up to date as it gets more components or is identified.
+     * @param {Room} room 
+     */
+    indexRoom(room) {
+        const setSpot = ([x, z]) => {
+            let i = getGridIndex(x*2, z*2)
+            if (i !== -1) this.grid[i] = room
+        }
+        room.components.forEach(setSpot)
+        room.onAddComponent = (component) => {
+            setSpot(component)
+            this.markRoomChanged(room)
+        }
+        room.onRoomIDChanged = (previousID) => this.updateRoomID(room, previousID)
+        this.markRoomChanged(room)
+    }
+
+    /**
+     * @param {Door} door 
+     */
+    addDoor(door) {
+        this.doors.add(door)
+
+        const i = getGridIndex(door.gx, door.gz)
+        if (i !== -1) this.grid[i] = door
+        this.treeDirty = true
+
+        // The rooms on either side of the door, if they have been found yet
+        const [dx, dz] = door.gx%2 ? [1, 0] : [0, 1]
+        for (let [gx, gz] of [[door.gx-dx, door.gz-dz], [door.gx+dx, door.gz+dz]]) {
+            let room = this.grid[getGridIndex(gx, gz)]
+            if (room instanceof Room) this.markRoomChanged(room)
+        }
     }
 
+    /**
+     * Finds the rotation of rooms which don't have one yet. Rooms which only got theirs from their doors keep looking for
+     * the roof marker, since it's more reliable.
+     */
     checkRoomRotations() {
         for (let room of this.rooms) {
-            if (room.rotation !== null) continue
+            if (room.rotation !== null && room.rotationSource !== RotationSources.DOORS) continue
             room.findRotation()
+
+            if (room.rotation == null && room.roomID !== null) room.findRotationFromDoors(getKnownDoors(room, this).signature)
         }
     }
 
+    /**
+     * Checks whether any of the wither/blood/entrance doors have been opened.
+     * @returns {Door[]} The doors which were opened since the last check
+     */
     checkDoorsOpened() {
-        for (let door of this.doors) door.checkOpened()
+        const opened = []
+        for (let door of this.doors) {
+            if (door.checkOpened()) opened.push(door)
+        }
+        return opened
     }
 
     /**
@@ -129,12 +323,8 @@ export default class DungeonMap {
      * @returns {Door}
      */
     getDoorWithComponent(component) {
-        let [x, z] = component
-        for (let door of this.doors) {
-            if (door.gx !== x || door.gz !== z) continue
-            return door
-        }
-        return null
+        const door = this.grid[getGridIndex(component[0], component[1])]
+        return door instanceof Door ? door : null
     }
 
     /**
@@ -144,9 +334,14 @@ export default class DungeonMap {
      * @returns {Door}
      */
     getDoorBetweenRooms(childRoom, parentRoom) {
-        for (let door of this.doors) {
-            if ((door.childRoom !== childRoom || door.parentRoom !== parentRoom) && (door.childRoom !== parentRoom || door.parentRoom !== childRoom)) continue
-            return door
+        // Only the door spots around the room can have the door
+        for (let [x, z] of childRoom.components) {
+            for (let [dx, dz] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                let door = this.getDoorWithComponent([x*2+dx, z*2+dz])
+                if (!door) continue
+                if ((door.childRoom !== childRoom || door.parentRoom !== parentRoom) && (door.childRoom !== parentRoom || door.parentRoom !== childRoom)) continue
+                return door
+            }
         }
         return null
     }
@@ -191,11 +386,8 @@ export default class DungeonMap {
      * @returns {Room}
      */
     getRoomWithComponent(component) {
-        for (let room of this.rooms) {
-            if (!room.hasComponent(component)) continue
-            return room
-        }
-        return null
+        const room = this.grid[getGridIndex(component[0]*2, component[1]*2)]
+        return room instanceof Room ? room : null
     }
 
     /**
@@ -205,8 +397,8 @@ export default class DungeonMap {
     getScanCoords() {
         const coords = new Map()
         let [x0, z0] = dungeonCorners.start
-        for (let z = 0; z < 11; z++) {
-            for (let x = 0; x < 11; x++) {
+        for (let z = 0; z < this.height*2-1; z++) {
+            for (let x = 0; x < this.width*2-1; x++) {
                 if (x%2 && z%2) continue
                 let rx = x0 + halfRoomSize + x * halfCombinedSize
                 let rz = z0 + halfRoomSize + z * halfCombinedSize
@@ -216,6 +408,34 @@ export default class DungeonMap {
         return coords
     }
 
+    /**
+     * Changes the size of the dungeon. Spots outside of it won't be scanned, and spots which have already been scanned aren't scanned again.
+     * @param {Number} width - In rooms
+     * @param {Number} height 
+     */
+    setDimensions(width, height) {
+        if (width == this.width && height == this.height) return
+
+        const wasInside = ([x, z]) => x < this.width*2-1 && z < this.height*2-1
+        const unscanned = new Set([...this.scanCoords.keys()].map(k => k.join(",")))
+
+        this.width = width
+        this.height = height
+        this.scanCoords = this.getScanCoords()
+        this.scanCoords.forEach((v, k) => {
+            if (wasInside(k) && !unscanned.has(k.join(","))) this.scanCoords.delete(k)
+        })
+    }
+
+    /**
+     * Sets the floor of the dungeon and changes its size to match. See FloorDimensions.
+     * @param {String} floor 
+     */
+    setFloor(floor) {
+        this.floor = floor
+        this.setDimensions(...getFloorDimensions(floor))
+    }
+
     /**
      * Scans the world for Rooms and Doors. Will not scan the same location more than once.
      */
@@ -227,11 +447,12 @@ export default class DungeonMap {
             [0, -halfCombinedSize, 0, -1]
         ]
 
+        const blocks = getBlockProvider()
         this.scanCoords.forEach((v, k) => {
             let [gx, gz] = k
             let [x, z] = v
 
-            if (!chunkLoaded(x, 100, z)) return
+            if (!blocks.isLoaded(x, 100, z)) return
             this.scanCoords.delete(k)
 
             let roofHeight = getHighestBlock(x, z)
@@ -245,7 +466,8 @@ export default class DungeonMap {
                 else {
                     room = new Room([[gx/2, gz/2]], roofHeight)
                     room.scanAndLoad()
-                    this.rooms.add(room)
+                    // Another part of the same room might have been scanned already, keep merging into that one
+                    room = this.addRoom(room)
                 }
 
                 if (room.type == RoomTypes.ENTRANCE) return
@@ -253,17 +475,16 @@ export default class DungeonMap {
                 for (let dir of directions) {
                     let [dx1, dz1, dx2, dz2] = dir
                     let [nx, nz] = [x+dx1, z+dz1]
-                    if (!World.getBlockAt(nx, roofHeight, nz).type.getID()) continue
-                    if (World.getBlockAt(nx, roofHeight+1, nz).type.getID()) continue
+                    if (!blocks.getBlockId(nx, roofHeight, nz)) continue
+                    if (blocks.getBlockId(nx, roofHeight+1, nz)) continue
                     // Stop that pesky 2x2 entrance room
-                    let doorBlock = World.getBlockAt(nx, 69, nz)
-                    if (doorBlock.type.getID() == 97 && doorBlock.getMetadata() == 5) continue
+                    if (blocks.getBlockId(nx, 69, nz) == 97 && blocks.getMetadata(nx, 69, nz) == 5) continue
 
                     let newComponent = [gx/2+dx2, gz/2+dz2]
                     let existing = this.getRoomWithComponent(newComponent)
                     if (existing && existing !== room) {
                         room.merge(existing)
-                        this.rooms.delete(existing)
+                        this.removeRoom(existing)
                         continue
                     }
                     room.merge(new Room([newComponent], roofHeight))
@@ -274,14 +495,13 @@ export default class DungeonMap {
             if (this.getDoorWithComponent([gx, gz])) return
 
             // Door block, eg air, coal block, red clay.
-            let blocc = World.getBlockAt(x, 69, z)
-            if (roofHeight < 85 || blocc.type.getID() == 97 && blocc.getMetadata() == 5) {
+            if (roofHeight < 85 || blocks.getBlockId(x, 69, z) == 97 && blocks.getMetadata(x, 69, z) == 5) {
                 let door = new Door(x, z, gx, gz)
 
                 if (gz%2) door.rotation = 0
                 else door.rotation = 90
                 
-                this.doors.add(door)
+                this.addDoor(door)
                 return
             }
             // Edge case where two main sections of a room have been loaded and are disconnected and the center is being scanned.
@@ -293,24 +513,19 @@ export default class DungeonMap {
                 let r2 = this.getRoomWithComponent([cx2/2, cz2/2])
                 if (!r1 || !r2 || r1 == r2 || r1.type == RoomTypes.ENTRANCE || r2.type == RoomTypes.ENTRANCE) continue
                 r1.merge(r2)
-                this.rooms.delete(r2)
+                this.removeRoom(r2)
                 break
             }
         })
         
-        this.secrets = 0
-        this.rooms.forEach(r => this.secrets += r.secrets)
-        
-        this.crypts = 0
-        this.rooms.forEach(r => this.crypts += r.crypts)
+        this.updateTotals()
 
         // Dungeon is fully scanned
         if (!this.scanCoords.size) {
             this.fullyScanned = true
 
-            let [mX, mZ] = Dungeon.dungeonDimensions
             this.rooms.forEach(room => {
-                if (room.components.some(a => a[0] > mX || a[1] > mZ)) this.rooms.delete(room)
+                if (room.components.some(([x, z]) => x >= this.width || z >= this.height)) this.removeRoom(room)
             })
         }
 
@@ -318,6 +533,208 @@ export default class DungeonMap {
 
     }
 
+    /**
+     * Whether every spot of a room and the spots around it have been scanned, so that its shape won't change anymore.
+     * @param {Room} room 
+     * @returns {Boolean}
+     */
+    isRoomScanned(room) {
+        for (let [gx, gz] of this.scanCoords.keys()) {
+            if (room.components.some(([x, z]) => Math.abs(gx - x*2) + Math.abs(gz - z*2) <= 1)) return false
+        }
+        return true
+    }
+
+    /**
+     * Learns the fingerprints of rooms which were identified by their cores, and uses them to identify the rooms whose cores aren't known.
+     * @returns {Room[]} The rooms which were identified by their fingerprint
+     */
+    checkFingerprints() {
+        const identified = []
+        const exclude = new Set([...this.rooms].map(a => a.roomID))
+
+        for (let room of this.rooms) {
+            if (!room.roofHeight) continue
+
+            let learn = room.roomID !== null && !room.probable && !hasFingerprint(room.roomID)
+            let identify = room.roomID == null && !room.fingerprintChecked
+            if (!learn && !identify || !this.isRoomScanned(room) || !room.isWithinRender()) continue
+
+            if (learn) {
+                addFingerprint(room.roomID, getFingerprint(room.realComponents))
+                continue
+            }
+
+            if (!room.loadFromFingerprint(exclude)) continue
+            exclude.add(room.roomID)
+            identified.push(room)
+        }
+
+        if (identified.length) this.updateTotals()
+
+        return identified
+    }
+
+    /**
+     * Recounts the total secrets and crypts of every room.
+     */
+    updateTotals() {
+        this.secrets = 0
+        this.rooms.forEach(r => this.secrets += r.secrets)
+        
+        this.crypts = 0
+        this.rooms.forEach(r => this.crypts += r.crypts)
+    }
+
+    /**
+     * Merges the rooms and doors found by another player's client into this map.
+     * Whatever this client has already found in the world wins, remote data only fills in what hasn't been scanned or identified yet.
+     * @param {Object} data - The payload of a mapShare message, see protocol.schema.json
+     * @returns {Boolean} Whether anything on the map changed
+     */
+    mergeRemote(data) {
+        let changed = false
+
+        // Spots which this client has already looked at in the world, even if it found nothing there, aren't taken from remote data
+        const unscanned = new Set([...this.scanCoords.keys()].map(([gx, gz]) => `${gx},${gz}`))
+        const isUnscanned = (gx, gz) => unscanned.has(`${gx},${gz}`)
+
+        for (let remote of data.rooms) {
+            if (!RoomMap.has(remote.roomID)) continue
+
+            const overlapping = [...new Set(remote.components.map(c => this.getRoomWithComponent(c)).filter(r => r))]
+            const newComponents = remote.components.filter(([x, z]) => isUnscanned(x*2, z*2))
+
+            // Already identified as a different room here
+            if (overlapping.some(r => r.roomID !== null && r.roomID !== remote.roomID)) continue
+
+            // Other parts of the same room might already be on the map without overlapping
+            let room = overlapping.find(r => r.roomID == remote.roomID) ?? this.roomIDMap.get(remote.roomID) ?? overlapping[0]
+            if (!room) {
+                if (!newComponents.length) continue
+
+                // The roomID has to be loaded before adding it so that it ends up in roomIDMap
+                room = new Room(newComponents)
+                room.loadFromRoomId(remote.roomID)
+                this.addRoom(room)
+                changed = true
+            }
+
+            // Unknown rooms which turned out to be parts of this one
+            for (let other of overlapping) {
+                if (other == room) continue
+                room.addComponents(other.components)
+                this.removeRoom(other)
+                changed = true
+            }
+
+            for (let component of newComponents) {
+                if (room.hasComponent(component)) continue
+                room.addComponent(component)
+                changed = true
+            }
+
+            if (room.roomID == null) {
+                room.loadFromRoomId(remote.roomID)
+                changed = true
+            }
+
+            // Rooms which haven't been seen on the hotbar map yet
+            if (room.checkmark == Checkmark.UNEXPLORED && remote.checkmark !== Checkmark.UNEXPLORED) {
+                room.checkmark = remote.checkmark
+                room.updateRenderVariables()
+                changed = true
+            }
+        }
+
+        for (let remote of data.doors) {
+            if (!(remote.gx%2 ^ remote.gz%2)) continue
+
+            const existing = this.getDoorWithComponent([remote.gx, remote.gz])
+            if (existing) {
+                // Only clients with the door loaded can see it being opened
+                if (remote.opened && !existing.opened && !getBlockProvider().isLoaded(existing.x, 69, existing.z)) {
+                    existing.opened = true
+                    changed = true
+                }
+                continue
+            }
+            if (!isUnscanned(remote.gx, remote.gz)) continue
+
+            const [x, z] = componentToRealCoords([remote.gx, remote.gz], true)
+            const door = new Door(x, z, remote.gx, remote.gz)
+            if (!getBlockProvider().isLoaded(x, 69, z)) {
+                door.setType(remote.type)
+                door.opened = remote.opened
+            }
+            door.rotation = remote.gz%2 ? 0 : 90
+
+            this.addDoor(door)
+            changed = true
+        }
+
+        if (!changed) return false
+
+        this.updateTotals()
+        if (Config().scanSetupTree || Config().witherDoorEsp) this.setupTree()
+
+        return true
+    }
+
+    /**
+     * Everything on the map, including the state of the run (checkmarks, opened doors, the mimic room etc) so that it can be
+     * recreated exactly with DungeonMap.fromJSON. Rooms are in the same order as this.rooms.
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            version: JSON_VERSION,
+            floor: this.floor ?? Dungeon.floor ?? null,
+            timestamp: this.timestamp ?? Date.now(),
+            fullyScanned: this.fullyScanned,
+            scanCoords: [...this.scanCoords.keys()].map(([x, z]) => [x, z]),
+            rooms: [...this.rooms].map(room => room.toJSON()),
+            doors: [...this.doors].map(door => door.toJSON())
+        }
+    }
+
+    /**
+     * The rooms and doors sent to party members when sharing the map, see the mapShare definition in protocol.schema.json.
+     * Only identified rooms are included.
+     * @returns {Object}
+     */
+    getShareData() {
+        return {
+            floor: this.floor ?? Dungeon.floor,
+            rooms: [...this.rooms].filter(room => room.roomID !== null).map(room => ({
+                roomID: room.roomID,
+                components: room.components.map(([x, z]) => [x, z]),
+                checkmark: room.checkmark
+            })),
+            doors: [...this.doors].map(door => ({
+                gx: door.gx,
+                gz: door.gz,
+                type: door.type,
+                opened: door.opened
+            }))
+        }
+    }
+
+    /**
+     * Every room and door on the map, as sent over the WebSocket. See the mapSnapshot definition in protocol.schema.json.
+     * @returns {Object}
+     */
+    getSnapshot() {
+        return {
+            floor: this.floor ?? Dungeon.floor ?? null,
+            fullyScanned: this.fullyScanned,
+            secrets: this.secrets,
+            crypts: this.crypts,
+            rooms: [...this.rooms].map(room => room.getSnapshot()),
+            doors: [...this.doors].map(door => door.getSnapshot())
+        }
+    }
+
     drawToImage(bufferedImage) {
         for (let room of this.rooms) {
             room.draw(bufferedImage)
@@ -330,93 +747,114 @@ export default class DungeonMap {
         return bufferedImage
     }
 
+    /**
+     * The size of the dungeon in rooms. Made bigger if any rooms have been found outside of it.
+     * @returns {[Number, Number]} [width, height]
+     */
+    getDimensions() {
+        let width = this.width
+        let height = this.height
+        for (let room of this.rooms) {
+            for (let [x, z] of room.components) {
+                width = Math.max(width, x+1)
+                height = Math.max(height, z+1)
+            }
+        }
+        return [width, height]
+    }
+
     /**
      * Returns the string representation of the Dungeon Map which preserves the location and shapes of all of the rooms and doors.
-     * 
-     * "floor;date;rooms;doors"
-     * floor = F5, F7, M5 etc
-     * date = unix timestamp
-     * rooms = room id padded to 3 characters long. Eg roomid 13 = 013, roomid 7 = 007, roomid 103 = 103 etc. 999 = no room, 998 = unknown room.
-     * doors = door type number, 
-     * @returns 
+     * See utils/MapString.js for the format.
+     * @returns {String | null}
      */
     convertToString() {
-        let roomStr = ""
-        let doorStr = ""
-        this.getScanCoords().forEach((v, k) => {
-
-            let [x, y] = k
-            let [rx, ry] = v
+        if (!Dungeon.floor || !this.rooms.size) return null
 
-            // Room
-            if (!(x%2 || y%2)) {
-                const room = this.getRoomWithComponent([x/2, y/2])
-                if (!room) {
-                    roomStr += "999"
-                    return
-                }
-                if (room.roomID == null) {
-                    roomStr += "998"
-                    return
-                }
-                const roomID = room.roomID
-                roomStr += `${"0".repeat(3 - roomID.toString().length)}${roomID}`
-                return
-            }
+        const [width, height] = this.getDimensions()
+        const bloodRoute = this.getBloodRoute()
+        const meta = bloodRoute ? {
+            witherDoors: bloodRoute.witherDoors,
+            bloodRooms: bloodRoute.rooms.length,
+            bloodDistance: Math.round(bloodRoute.distance)
+        } : {}
 
-            // Door
-            const door = this.getDoorWithComponent([x, y])
-            if (!door) {
-                doorStr += "9"
-                return
-            }
-            doorStr += door.type.toString()
-        })
-        if (!Dungeon.floor || roomStr == "" || doorStr == "") return null
-        return `${Dungeon.floor};${Date.now()};${roomStr};${doorStr}`
+        return createMapString(Dungeon.floor, Date.now(), width, height, (x, z) => {
+            const room = this.getRoomWithComponent([x, z])
+            if (!room) return undefined
+            return room.roomID
+        }, (x, z) => {
+            return this.getDoorWithComponent([x, z])?.type ?? null
+        }, meta)
     }
 
     /**
      * Searches through the dungeon starting from the entrance room to turn the rooms
      * and doors into a graph so that it can be traversed easily.
-     * @returns 
+     * 
+     * Only the parts of the tree around rooms which changed since the last time are updated, unless rooms were removed
+     * or the Entrance changed, in which case the whole tree is set up again.
+     * @param {Boolean} force - Set up the whole tree even if nothing changed
      */
-    setupTree() {
+    setupTree(force=false) {
+        // Nothing has changed since the last time
+        if (!this.treeDirty && !force) return
 
         // let started = Date.now()
         let entrance = this.getRoomFromName("Entrance")
         if (!entrance) return
         entrance.explored = true
+        this.treeDirty = false
 
         const directions = [[1, 0], [-1, 0], [0, 1], [0, -1]]
+        const inTree = (room) => room == entrance || room.parent !== null
         
-        // Reset doors and rooms from previous scans to prevent duplicates
-        this.doors.forEach(door => {
-            door.childRoom = null
-            door.parentRoom = null
-        })
-        this.rooms.forEach(room => {
-            room.doors = []
-            room.children = []
-            room.parent = null
-        })
+        const queue = []
+        const rebuilding = force || this.treeNeedsRebuild || this.treeRoot !== entrance
+        if (rebuilding) {
+            // Reset doors and rooms from previous scans to prevent duplicates
+            this.doors.forEach(door => {
+                door.childRoom = null
+                door.parentRoom = null
+            })
+            this.rooms.forEach(room => {
+                room.doors = []
+                room.children = []
+                room.parent = null
+            })
+            queue.push(entrance)
+        }
+        else {
+            // Continue from the changed rooms which are already in the tree, or from the rooms in the tree next to them
+            for (let room of this.changedRooms) {
+                if (!this.rooms.has(room)) continue
+                if (inTree(room)) {
+                    queue.push(room)
+                    continue
+                }
+                room.components.forEach(([cx, cz]) => directions.forEach(([dx, dz]) => {
+                    let neighbour = this.getRoomWithComponent([cx+dx, cz+dz])
+                    if (neighbour && neighbour !== room && inTree(neighbour) && this.getDoorWithComponent([cx*2+dx, cz*2+dz])) queue.push(neighbour)
+                }))
+            }
+        }
+        this.treeNeedsRebuild = false
+        this.treeRoot = entrance
+        this.changedRooms.clear()
+
         // this.mapScore = 0
         this.calcMapScore()
 
-        const queue = [entrance]
         const visited = new Set()
-        const depthMap = new Map([[entrance, 0]])
+        let hasNewLoop = false // A door between two rooms which were already in the tree
         while (queue.length) {
             let room = queue.pop()
             if (visited.has(room)) continue
             visited.add(room)
 
-            // Room score shit
-            let depth = depthMap.get(room)
-            // let roomScore = room.getRoomScore()
-            // this.mapScore += roomScore
-
             // Branch off to the doors from the rest of the components
+            room.doors = []
+            room.children = []
             room.components.forEach(([cx, cz]) => {
                 directions.forEach(([dx, dz]) => {
                     let [nx, nz] = [cx*2+dx, cz*2+dz]
@@ -425,7 +863,18 @@ export default class DungeonMap {
                     room.doors.push(door)
                     // Check for room on the other side of door
                     let newRoom = this.getRoomWithComponent([cx+dx, cz+dz])
-                    if (!newRoom || visited.has(newRoom)) return
+                    if (!newRoom) return
+
+                    // Children from the last time the tree was set up, kept in the same order as a rebuild would put them in
+                    if (newRoom.parent == room && newRoom !== entrance) {
+                        if (!room.children.includes(newRoom)) room.children.push(newRoom)
+                        if (!rebuilding && door.parentRoom == null) hasNewLoop = true
+                        return
+                    }
+                    if (inTree(newRoom)) {
+                        if (!rebuilding && door.parentRoom == null) hasNewLoop = true
+                        return
+                    }
 
                     door.childRoom = newRoom
                     door.parentRoom = room
@@ -433,10 +882,12 @@ export default class DungeonMap {
                     room.children.push(newRoom)
 
                     queue.push(newRoom)
-                    depthMap.set(newRoom, depth+1)
                 })
             })
         }
+
+        // Which rooms end up as each other's parents depends on the order they are reached in from the Entrance
+        if (hasNewLoop) return this.setupTree(true)
         
         // Fill in missing doors if the wither/entrance/blood doors have already been opened.
         const bloodRoute = this.getRoomsTo(this.getRoomFromName("Entrance"), this.getRoomFromName("Blood"), true)
@@ -463,19 +914,237 @@ export default class DungeonMap {
         })
     }
 
+    /**
+     * Dijkstra's algorithm over the rooms, with the doors as the edges. Doesn't need the tree to be set up.
+     * @param {Room} startRoom 
+     * @param {Room} endRoom 
+     * @param {Boolean} includeDoors 
+     * @param {RouteCost} getCost 
+     * @returns {(Room | Door)[] | null}
+     */
+    getCheapestRoute(startRoom, endRoom, includeDoors, getCost) {
+        if (!endRoom || !startRoom) return null
+
+        const costs = new Map([[startRoom, 0]])
+        const cameFrom = new Map() // room: [previousRoom, door]
+        const visited = new Set()
+        
+        // Few enough rooms that a sorted array is fine instead of a proper priority queue
+        const queue = [startRoom]
+
+        while (queue.length) {
+            queue.sort((a, b) => costs.get(a) - costs.get(b))
+            let current = queue.shift()
+
+            if (visited.has(current)) continue
+            visited.add(current)
+
+            // End room has been reached
+            if (current == endRoom) {
+                const path = [current]
+                while (cameFrom.has(current)) {
+                    let [previous, door] = cameFrom.get(current)
+                    if (includeDoors) path.unshift(door)
+                    path.unshift(previous)
+                    current = previous
+                }
+                return path
+            }
+
+            for (let [cx, cz] of current.components) {
+                for (let [dx, dz] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                    let door = this.getDoorWithComponent([cx*2+dx, cz*2+dz])
+                    let next = this.getRoomWithComponent([cx+dx, cz+dz])
+                    if (!door || !next || visited.has(next)) continue
+
+                    let cost = costs.get(current) + getCost(next, door)
+                    if (cost == Infinity || cost >= (costs.get(next) ?? Infinity)) continue
+
+                    costs.set(next, cost)
+                    cameFrom.set(next, [current, door])
+                    queue.push(next)
+                }
+            }
+        }
+
+        return null
+    }
+
+    /**
+     * The quickest way to the Blood room, see defaultRouteCost.
+     * @param {Room} startRoom - Where to start, the Entrance if not given
+     * @param {Boolean} includeDoors 
+     * @param {RouteCost} getCost 
+     * @returns {(Room | Door)[] | null}
+     */
+    getFastestRouteToBlood(startRoom=null, includeDoors=false, getCost=defaultRouteCost) {
+        const start = startRoom ?? this.getRoomFromName("Entrance")
+        const blood = [...this.rooms].find(room => room.type == RoomTypes.BLOOD)
+        return this.getRoomsTo(start, blood, includeDoors, getCost)
+    }
+
+    /**
+     * The wither doors, rooms and least walking distance on the way from the Entrance to Blood, see utils/BloodRoute.js
+     * @returns {import("../utils/BloodRoute").BloodRouteReport | null} null if there is no known way to Blood yet
+     */
+    getBloodRoute() {
+        // There's only one way there, so every room can cost the same and the tree doesn't need to be set up
+        const route = this.getFastestRouteToBlood(null, true, () => 1)
+        return route ? getBloodRouteReport(route) : null
+    }
+
+    /**
+     * Works out what each unidentified room could be from its shape and doors. See RoomCandidates.js
+     * @param {String} floor 
+     */
+    updateRoomCandidates(floor=Dungeon.floor) {
+        for (let room of this.rooms) {
+            room.candidates = getRoomCandidates(room, this, floor)
+        }
+    }
+
+    /**
+     * The total cost of a route from DungeonMap#getRoomsTo with includeDoors=true. The start room is free.
+     * @param {(Room | Door)[]} route 
+     * @param {RouteCost} getCost 
+     * @returns {Number}
+     */
+    getRouteCost(route, getCost=defaultRouteCost) {
+        let cost = 0
+        for (let i = 1; i < route.length - 1; i += 2) {
+            cost += getCost(route[i+1], route[i])
+        }
+        return cost
+    }
+
+    /**
+     * Suggests an order to clear rooms in to get a number of secrets as quickly as possible.
+     * 
+     * Each step picks the room which gives the most secrets for its cost, where the cost is getting there from the last
+     * room in the plan plus collecting its secrets. Only the secrets which haven't been found yet are counted, so rooms with a green
+     * checkmark or with every secret found are skipped.
+     * @param {Room} startRoom - Where the plan starts from, usually the room the player is in
+     * @param {Number} secretsNeeded 
+     * @param {RouteCost} getCost 
+     * @returns {{rooms: Room[], secrets: Number, cost: Number}} The rooms in order, how many secrets are left in them in total and the estimated cost
+     */
+    planClearOrder(startRoom, secretsNeeded, getCost=defaultRouteCost) {
+        const plan = { rooms: [], secrets: 0, cost: 0 }
+        if (!startRoom) return plan
+
+        const remaining = new Set([...this.rooms].filter(room => room.roomID !== null && room.getSecretsLeft() > 0 && room.checkmark !== Checkmark.GREEN))
+        let current = startRoom
+
+        while (plan.secrets < secretsNeeded && remaining.size) {
+            let best = null
+            for (let room of remaining) {
+                let route = this.getRoomsTo(current, room, true, getCost)
+                if (!route) continue
+
+                let secrets = room.getSecretsLeft()
+                let cost = this.getRouteCost(route, getCost) + secrets * SECRET_COST
+                // Secrets past what's needed are worth nothing
+                let value = Math.min(secrets, secretsNeeded - plan.secrets) / cost
+                if (best && value <= best.value) continue
+
+                best = { room, cost, value }
+            }
+            if (!best) break
+
+            remaining.delete(best.room)
+            plan.rooms.push(best.room)
+            plan.secrets += best.room.getSecretsLeft()
+            plan.cost += best.cost
+            current = best.room
+        }
+
+        return plan
+    }
+
+    /**
+     * Compares this map to another one. Rooms are matched by their roomID, or by their components if either of them isn't identified.
+     * @param {DungeonMap} other 
+     * @returns {DungeonMapDiff} What changed going from this map to the other one
+     */
+    diff(other) {
+        const result = {
+            rooms: { added: [], removed: [], changed: [] },
+            doors: { added: [], removed: [], changed: [] },
+            checkmarks: []
+        }
+
+        const pairs = new Map() // Room in this map: Room in the other map
+        const unmatched = new Set(other.rooms)
+        const findMatch = (predicate) => {
+            for (let room of unmatched) {
+                if (predicate(room)) return room
+            }
+            return null
+        }
+
+        // Identified rooms first so that an unknown room with the same components can't take their place
+        const rooms = [...this.rooms].sort((a, b) => (a.roomID == null) - (b.roomID == null))
+        for (let room of rooms) {
+            let match = room.roomID == null ? null : findMatch(a => a.roomID == room.roomID)
+            if (!match) match = findMatch(a => getComponentsKey(a) == getComponentsKey(room) && (a.roomID == null || room.roomID == null || !this.getRoomFromID(a.roomID)))
+            if (!match) {
+                result.rooms.removed.push(room)
+                continue
+            }
+            unmatched.delete(match)
+            pairs.set(room, match)
+        }
+        result.rooms.added = [...unmatched]
+
+        pairs.forEach((to, from) => {
+            const changes = []
+            if (getComponentsKey(from) !== getComponentsKey(to)) changes.push("components")
+            if (from.roomID !== to.roomID) changes.push("roomID")
+            if (changes.length) result.rooms.changed.push({ from, to, changes })
+
+            if (from.checkmark !== to.checkmark) result.checkmarks.push({ from, to })
+        })
+
+        // Doors only have their position to go off
+        const otherDoors = new Map([...other.doors].map(door => [`${door.gx},${door.gz}`, door]))
+        for (let door of this.doors) {
+            let key = `${door.gx},${door.gz}`
+            let match = otherDoors.get(key)
+            if (!match) {
+                result.doors.removed.push(door)
+                continue
+            }
+            otherDoors.delete(key)
+            if (match.type !== door.type) result.doors.changed.push({ from: door, to: match })
+        }
+        result.doors.added = [...otherDoors.values()]
+
+        return result
+    }
+
+    /**
+     * Scores the layout of this dungeon with the weights from the config, see utils/MapScoring.js
+     */
     calcMapScore() {
-        this.mapScore = 0
-        for (let room of this.rooms) this.mapScore += room.getRoomScore()
+        /** @type {import("../utils/MapScoring").MapScoreBreakdown} */
+        this.scoreBreakdown = getMapScore(this)
+        this.mapScore = this.scoreBreakdown.total
     }
 
     /**
      * Returns the rooms (and doors if includeDoors=true) in order to go from the start room to the end room.
      * The returned array will include both the start and end rooms.
+     * 
+     * Without a cost function the route with the fewest rooms is found, which needs the tree to have been set up (DungeonMap#setupTree).
+     * With one, the route with the lowest total cost is found instead.
      * @param {Room} startRoom - The room to start at. 
      * @param {Room} endRoom - The room to end at.
      * @param {Boolean} includeDoors 
+     * @param {RouteCost} getCost - See defaultRouteCost
      */
-    getRoomsTo(startRoom, endRoom, includeDoors=false) {
+    getRoomsTo(startRoom, endRoom, includeDoors=false, getCost=null) {
+        if (getCost) return this.getCheapestRoute(startRoom, endRoom, includeDoors, getCost)
+
         if (!endRoom || !startRoom) return null
 
         const queue = [startRoom]
@@ -65,7 +65,8 @@ export class DungeonPlayer {
         if (!bcData.apiKey) return
 
         getHypixelPlayerV2(this.uuid).then(hypixelPlayer => {
-            this.secrets = hypixelPlayer?.player?.achievements?.skyblock_treasure_hunter || 0
+            // Restored players already have the secrets they started the run with
+            if (!this.secrets) this.secrets = hypixelPlayer?.player?.achievements?.skyblock_treasure_hunter || 0
             this.rank = getRank(hypixelPlayer)
             this.formatted = `${this.rank} ${this.player}`.replace("&7 ", "&7")
         }).catch(e => sendError(e, "initHypixelApiVars"))
@@ -119,6 +120,40 @@ export class DungeonPlayer {
         Renderer.retainTransforms(false)
     }
 
+    /**
+     * The stats for this run, to be loaded again with DungeonPlayer.fromJSON.
+     * @param {Room[]} rooms - The rooms of the dungeon, rooms are saved as their index in this array
+     * @returns {Object}
+     */
+    toJSON(rooms) {
+        return {
+            player: this.player,
+            uuid: this.uuid,
+            secrets: this.secrets,
+            deaths: this.deaths,
+            clearedRooms: { solo: this.clearedRooms.solo, stacked: this.clearedRooms.stacked },
+            visitedRooms: [...this.visitedRooms.entries()].map(([room, time]) => [rooms.indexOf(room), time]).filter(([i]) => i !== -1),
+            lastRoom: this.lastRoom ? rooms.indexOf(this.lastRoom) : -1
+        }
+    }
+
+    /**
+     * Recreates a player saved with DungeonPlayer#toJSON.
+     * @param {Object} data 
+     * @param {Room[]} rooms - The rooms in the same order as when the player was saved
+     * @returns {DungeonPlayer}
+     */
+    static fromJSON(data, rooms) {
+        const player = new DungeonPlayer(data.player)
+        player.uuid = player.uuid ?? data.uuid
+        player.secrets = data.secrets
+        player.deaths = data.deaths
+        player.clearedRooms = { solo: data.clearedRooms.solo, stacked: data.clearedRooms.stacked }
+        player.visitedRooms = new Map(data.visitedRooms.filter(([i]) => rooms[i]).map(([i, time]) => [rooms[i], time]))
+        player.lastRoom = rooms[data.lastRoom] ?? null
+        return player
+    }
+
     getName(formatted) {
         if (!formatted) return this.player
         return this.formatted
@@ -1,11 +1,21 @@
-import { Checkmark, ClearTypes, componentToRealCoords, dmapData, getCheckmarks, getCore, getHighestBlock, getRoomPosition, getRoomShape, halfRoomSize, mapCellSize, MapColorToRoomType, renderWrappedString, RoomColors, RoomNameColorKeys, roomsJson, RoomTypes, RoomTypesStrings, setPixels } from "../utils/utils"
+import { Checkmark, ClearTypes, RotationSources, componentToRealCoords, dmapData, getCheckmarks, getCore, getHighestBlock, getRoomPosition, getRoomShape, halfRoomSize, mapCellSize, MapColorToRoomType, renderWrappedString, RoomColors, RoomNameColorKeys, roomsJson, RoomTypes, RoomTypesStrings, setPixels } from "../utils/utils"
 import Dungeon from "../../BloomCore/dungeons/Dungeon"
 import Config from "../utils/Config"
-import { chunkLoaded, Color, colorShift, rotateCoords } from "../../BloomCore/utils/Utils"
+import { Color, colorShift, rotateCoords } from "../../BloomCore/utils/Utils"
 import { RoomMap } from "../utils/utils"
+import { findFuzzyMatch, getFingerprint } from "../utils/RoomFingerprint"
+import { getBlockProvider } from "../utils/BlockProvider"
+import { rotateDoorSignature } from "../utils/RoomCandidates"
 
 const offsets = [[-halfRoomSize, -halfRoomSize], [halfRoomSize, -halfRoomSize], [halfRoomSize, halfRoomSize], [-halfRoomSize, halfRoomSize]]
 
+// Shown after the rotation in /rooms
+const rotationSourceStrings = new Map([
+    [RotationSources.MARKER, "&a(marker)"],
+    [RotationSources.FAIRY, "&a(fairy)"],
+    [RotationSources.DOORS, "&e(doors)"]
+])
+
 export default class Room {
     constructor(components=[], roofHeight=null) {
 
@@ -17,8 +27,16 @@ export default class Room {
         this.clearType = null
         this.crypts = 0
 
+        /** @type {import("../utils/RoomCandidates").RoomCandidate[]} */
+        this.candidates = [] // What this room might be while it's still unidentified
+
+        this.probable = false // Identified by its fingerprint instead of an exact core match
+        this.similarity = null // How similar it was to the fingerprint, 0-1
+        this.fingerprintChecked = false
+
         this.shape = "1x1"
         this.rotation = null
+        this.rotationSource = null // One of RotationSources
         this.corner = null
 
         this.roofHeight = roofHeight
@@ -28,6 +46,7 @@ export default class Room {
         this.checkmark = Checkmark.UNEXPLORED
         this.explored = false
         this.hasMimic = false
+        this.foundSecrets = null // From the action bar while in the room, null until it has been seen
 
         // Rendering stuff
         this.width = 0
@@ -41,6 +60,8 @@ export default class Room {
 
         this.components = []
         this.realComponents = []
+        this.onAddComponent = null // Set by DungeonMap to keep its grid index up to date
+        this.onRoomIDChanged = null // Set by DungeonMap to keep its roomIDMap up to date, gets the previous roomID
         components.forEach(c => this.addComponent(c))
 
         this.doors = []
@@ -88,6 +109,7 @@ export default class Room {
     }
 
     loadFromData(roomData) {
+        const previousID = this.roomID
         this.name = roomData.name
         this.type = RoomTypesStrings.get(roomData.type) ?? RoomTypes.NORMAL
         this.secrets = roomData.secrets
@@ -95,7 +117,12 @@ export default class Room {
         this.roomID = roomData.roomID
         this.clear = roomData.clear == "mob" ? ClearTypes.MOB : ClearTypes.MINIBOSS
         this.crypts = roomData.crypts ?? 0
+        this.candidates = []
+        this.probable = false
+        this.similarity = null
         this.updateRenderVariables()
+
+        if (this.roomID !== previousID && this.onRoomIDChanged) this.onRoomIDChanged(previousID)
     }
 
     loadFromRoomId(roomID) {
@@ -115,32 +142,74 @@ export default class Room {
         return false
     }
 
+    /**
+     * Identifies the room by comparing it to the fingerprints of known rooms, for when none of its cores match.
+     * The chunks of the whole room need to be loaded.
+     * @param {Set<Number>} exclude - Room IDs which it can't be
+     * @returns {Boolean} Whether the room was identified
+     */
+    loadFromFingerprint(exclude) {
+        this.fingerprintChecked = true
+
+        const match = findFuzzyMatch(getFingerprint(this.realComponents), exclude)
+        if (!match) return false
+
+        this.loadFromData(match.roomData)
+        this.probable = true
+        this.similarity = match.similarity
+        return true
+    }
+
     findRotation() {
         if (!this.roofHeight) return
 
         if (this.type == RoomTypes.FAIRY) {
             this.rotation = 0
+            this.rotationSource = RotationSources.FAIRY
             let [x, z] = this.realComponents[0]
             this.corner = [x-halfRoomSize+0.5, this.roofHeight, z-halfRoomSize+0.5]
             return
         }
 
+        const blocks = getBlockProvider()
         for (let c of this.realComponents) {
             let [x, z] = c
             for (let i = 0; i < offsets.length; i++) {
                 let [dx, dz] = offsets[i]
                 let [nx, nz] = [x+dx, z+dz]
-                if (!chunkLoaded(nx, this.roofHeight, nz)) return
+                if (!blocks.isLoaded(nx, this.roofHeight, nz)) return
                 
-                let block = World.getBlockAt(nx, this.roofHeight, nz)
-                if (block.type.getID() !== 159 || block.getMetadata() !== 11) continue
+                if (blocks.getBlockId(nx, this.roofHeight, nz) !== 159 || blocks.getMetadata(nx, this.roofHeight, nz) !== 11) continue
                 this.rotation = i*90
+                this.rotationSource = RotationSources.MARKER
                 this.corner = [nx+0.5, this.roofHeight, nz+0.5]
                 return
             }
         }
     }
 
+    /**
+     * Works out the rotation of a 1x1 room from the doors around it, for when the marker in the roof corner is missing.
+     * Only works if the doors fit the room's door signature in rooms.json in exactly one rotation.
+     * @param {String | null} doors - Which sides of the room have a door on the map, in the same order as door signatures. See RoomCandidates.js
+     * @returns {Boolean} Whether the rotation was found
+     */
+    findRotationFromDoors(doors) {
+        const signature = RoomMap.get(this.roomID)?.doors
+        if (!doors || !signature || this.shape !== "1x1" || !this.roofHeight) return false
+
+        const rotations = [0, 90, 180, 270].filter(rotation => rotateDoorSignature(signature, rotation) == doors)
+        if (rotations.length !== 1) return false
+
+        // The marker would have been in this corner
+        const [x, z] = this.realComponents[0]
+        const [dx, dz] = offsets[rotations[0]/90]
+        this.rotation = rotations[0]
+        this.rotationSource = RotationSources.DOORS
+        this.corner = [x+dx+0.5, this.roofHeight, z+dz+0.5]
+        return true
+    }
+
     updateDimensions() {
         let minX = Math.min(...this.components.map(a => a[0]))
         let minZ = Math.min(...this.components.map(a => a[1]))
@@ -171,6 +240,7 @@ export default class Room {
     addComponent([x, z]) {
         if (this.hasComponent([x, z])) return this
         this.components.push([x, z])
+        if (this.onAddComponent) this.onAddComponent([x, z])
 
         // Sort components so the top left on the map is always first
         this.components.sort((a, b) => a[1]-b[1]).sort((a, b) => a[0]-b[0])
@@ -180,6 +250,8 @@ export default class Room {
 
         this.corner = null
         this.rotation = null
+        this.rotationSource = null
+        this.fingerprintChecked = false
 
         this.findRotation()
         this.updateRenderVariables()
@@ -308,7 +380,7 @@ export default class Room {
             for (let i = 0; i < offsets.length; i++) {
                 let [dx, dz] = offsets[i]
                 let [nx, nz] = [x+dx, z+dz]
-                if (!chunkLoaded(nx, this.roofHeight, nz)) return false
+                if (!getBlockProvider().isLoaded(nx, this.roofHeight, nz)) return false
             }
         }
         return true
@@ -320,7 +392,7 @@ export default class Room {
      */
     getName(formatted=true) {
         let color = formatted ? (RoomNameColorKeys.get(this.type) ?? "&f") : ""
-        return `${color}${this.name}`
+        return `${color}${this.name}${this.probable ? "?" : ""}`
     }
 
     getRoomScore() {
@@ -365,7 +437,94 @@ export default class Room {
 
     }
 
+    /**
+     * Everything needed to recreate this room with Room.fromJSON. The rest is loaded from rooms.json using the roomID.
+     * @returns {Object}
+     */
+    toJSON() {
+        return {
+            roomID: this.roomID,
+            type: this.type,
+            components: this.components.map(([x, z]) => [x, z]),
+            roofHeight: this.roofHeight,
+            rotation: this.rotation,
+            rotationSource: this.rotationSource,
+            corner: this.corner,
+            checkmark: this.checkmark,
+            explored: this.explored,
+            hasMimic: this.hasMimic,
+            highlighted: this.highlighted,
+            foundSecrets: this.foundSecrets,
+            probable: this.probable,
+            similarity: this.similarity
+        }
+    }
+
+    /**
+     * Recreates a room saved with Room#toJSON.
+     * @param {Object} data
+     * @returns {Room}
+     */
+    static fromJSON(data) {
+        const room = new Room(data.components)
+
+        // Unidentified rooms can still have a type from the hotbar map
+        if (data.roomID == null || !room.loadFromRoomId(data.roomID)) room.type = data.type
+
+        room.roofHeight = data.roofHeight
+        room.rotation = data.rotation
+        room.rotationSource = data.rotationSource ?? (data.rotation == null ? null : RotationSources.MARKER)
+        room.corner = data.corner
+        room.checkmark = data.checkmark
+        room.explored = data.explored
+        room.hasMimic = data.hasMimic
+        room.highlighted = data.highlighted
+        room.foundSecrets = data.foundSecrets ?? null
+        room.probable = data.probable ?? false
+        room.similarity = data.similarity ?? null
+        room.fingerprintChecked = true
+        room.updateRenderVariables()
+
+        return room
+    }
+
+    /**
+     * The state of this room sent over the WebSocket. See the room definition in protocol.schema.json.
+     * @returns {Object}
+     */
+    getSnapshot() {
+        return {
+            roomID: this.roomID,
+            name: this.name,
+            type: this.type,
+            shape: this.shape,
+            components: this.components.map(([x, z]) => [x, z]),
+            checkmark: this.checkmark,
+            explored: this.explored,
+            rotation: this.rotation,
+            secrets: this.secrets,
+            foundSecrets: this.foundSecrets
+        }
+    }
+
+    /**
+     * Whether every secret in this room has been found, going by the action bar.
+     * @returns {Boolean}
+     */
+    hasFoundAllSecrets() {
+        return this.secrets > 0 && this.foundSecrets !== null && this.foundSecrets >= this.secrets
+    }
+
+    /**
+     * The secrets in this room which haven't been found yet, going by the action bar.
+     * @returns {Number}
+     */
+    getSecretsLeft() {
+        return Math.max(0, this.secrets - (this.foundSecrets ?? 0))
+    }
+
     toString() {
-        return `Room[&ename=&6${this.getName(true)}&f, &7components=${JSON.stringify(this.components)}&f, &2explored=${this.explored}&f]`
+        const rotation = this.rotation == null ? "&c?" : `${this.rotation} ${rotationSourceStrings.get(this.rotationSource) ?? ""}`.trim()
+        return `Room[&ename=&6${this.getName(true)}&f, &7components=${JSON.stringify(this.components)}&f, &2explored=${this.explored}&f, &brotation=${rotation}&f]`
     }
 }
\ No newline at end of file
@@ -1,31 +1,43 @@
 import { appendToFile, getServerID, getSortedMap } from "../../BloomCore/utils/Utils"
 import DmapDungeon from "../components/DmapDungeon"
+import DungeonMap from "../components/DungeonMap"
 import Config from "../utils/Config"
 import { fn, padText, readFileLines, round } from "../../BloomCore/utils/Utils"
-import { DoorTypes, RoomMap, dmapData, roomsJson } from "../utils/utils"
+import { DoorTypes, dmapData, roomsJson } from "../utils/utils"
+import { getLayoutKey, parseMapString, printSkippedLines, validateMapString } from "../utils/MapString"
+import { clearFloorPriors } from "../utils/RoomCandidates"
 
 
 const DUNGEON_PATH = "data/dungeons.txt"
 
-// Grabs only the room and door parts, to be used to prevent duplicate dungeons from being saved.
-let dungeonStrings = (readFileLines("IllegalMap", DUNGEON_PATH) ?? []).map(v => v.split(";").slice(2).join(";"))
+const getLayoutKeyOrNull = (str) => {
+    try {
+        return getLayoutKey(parseMapString(str))
+    } catch (e) {
+        return null
+    }
+}
+
+// Only the rooms and doors of each logged dungeon, to be used to prevent duplicate dungeons from being saved.
+let dungeonLayouts = (readFileLines("IllegalMap", DUNGEON_PATH) ?? []).map(getLayoutKeyOrNull)
 
 DmapDungeon.onDungeonAllScanned(dung => {
     const str = dung.dungeonMap.convertToString()
     if (!str) return ChatLib.chat(`&cInvalid dungeon string!`)
 
-        const roomsDoors = str.split(";").slice(2).join(";")
-    if (dungeonStrings.length && roomsDoors == dungeonStrings[dungeonStrings.length-1]) return ChatLib.chat(`&eAlready logged this dungeon!`)
+    const layout = getLayoutKeyOrNull(str)
+    if (dungeonLayouts.length && layout == dungeonLayouts[dungeonLayouts.length-1]) return ChatLib.chat(`&eAlready logged this dungeon!`)
 
     appendToFile("IllegalMap", DUNGEON_PATH, str)
-    dungeonStrings.push(roomsDoors)
+    dungeonLayouts.push(layout)
+    clearFloorPriors()
 
     if (!Config().logDungeonChatInfo) return
 
     new Message(
         `&aSaved Dungeon! `,
         new TextComponent(`&6[CLICK]`).setClick("run_command", `/viewdung ${str}`),
-        ` &aMap Score: &6${DmapDungeon.dungeonMap.mapScore}`
+        ` &aMap Score: &6${Math.floor(DmapDungeon.dungeonMap.mapScore*10)/10}`
     ).chat()
 })
 
@@ -93,8 +105,15 @@ const doShit = (floor) => {
 
     let totalDungeons = 0
 
+    const skipped = []
+
     dungeons.forEach((v, i) => {
-        const [dungFloor, timestamp, rooms, doors] = v.split(";")
+        const { parsed, errors } = validateMapString(v)
+        if (!parsed) {
+            skipped.push({ line: i+1, errors })
+            return
+        }
+        const { floor: dungFloor, rooms, doors } = parsed
         if (floor && dungFloor !== floor.toUpperCase()) return
 
         floorsRan.set(dungFloor, (floorsRan.get(dungFloor) ?? 0) + 1)
@@ -102,15 +121,10 @@ const doShit = (floor) => {
 
         let secrets = 0
         let witherDoors = -1
-        let mapScore = 0
 
         const roomIDs = new Set()
-        for (let i = 0; i < Math.floor(rooms.length / 3); i++) {
-            let id = parseInt(rooms.slice(i*3, i*3+3))
-            if (roomIDs.has(id) || id == 998 || id == 999) continue
-
-            // Unknown room, don't wanna use this dungeon.
-            if (!RoomMap.has(id)) return
+        for (let { roomID: id } of rooms) {
+            if (id == null || roomIDs.has(id)) continue
 
             roomIDs.add(id)
             let roomSecrets = secretCountMap.get(id) ?? 0
@@ -119,26 +133,23 @@ const doShit = (floor) => {
             let roomType = roomTypeMap.get(id) ?? "normal"
             if (roomType == "puzzle") totalPuzzleCounts.set(id, (totalPuzzleCounts.get(id) ?? 0) + 1)
             else if (roomType == "normal" || roomType == "rare") totalRoomCounts.set(id, (totalRoomCounts.get(id) ?? 0) + 1) 
-
-            // Room Score
-            let roomData = RoomMap.get(id)
-            if ("roomScore" in roomData) mapScore += roomData.roomScore
-            else if ("secretScore" in roomData && "clearScore" in roomData) mapScore += roomData.secretScore/2 + roomData.clearScore/2
         }
 
-        doors.split("").forEach(v => {
-            const doorType = parseInt(v)
-            if (doorType == 9) return
-            if (doorType == DoorTypes.WITHER) witherDoors++
-        }, [])
+        doors.forEach(({ type }) => {
+            if (type == DoorTypes.WITHER) witherDoors++
+        })
 
         totalDungeons++
         
         secretCounts.set(secrets, (secretCounts.get(secrets) ?? 0) + 1)
         witherDoorCounts.set(witherDoors, (witherDoorCounts.get(witherDoors) ?? 0) + 1)
-        mapScores.push(mapScore)
+        // The same scoring model as /logs and the dungeon viewer, see utils/MapScoring.js
+        mapScores.push(DungeonMap.fromString(v).mapScore)
     })
 
+    printSkippedLines(skipped)
+    if (!totalDungeons) return ChatLib.chat(`&cNo valid dungeons logged${floor ? " on that floor" : ""}!`)
+
     // totalRoomCounts.forEach((v, k) => ChatLib.chat(`${k}: ${v}`))
     const totalSecrets = getMapSum(secretCounts)
     const avgSecrets = (totalSecrets / totalDungeons).toFixed(2)
@@ -1,6 +1,8 @@
 import { BufferedImage, linSpread, readFileLines, renderCenteredString } from "../../BloomCore/utils/Utils"
 import DungeonMap from "../components/DungeonMap"
 import { RoomTypes, renderWrappedString } from "../utils/utils"
+import { printSkippedLines } from "../utils/MapString"
+import { getBloodRouteSummary } from "../utils/BloodRoute"
 
 const getTimeSince = (ts) => {
     const delta = Date.now() - ts
@@ -17,27 +19,176 @@ const getTimeSince = (ts) => {
 
 const viewerGui = new Gui()
 let currentDung = new DungeonMap()
+let currentDiff = null // Shown on top of currentDung when viewing a diff
 let mapImageBuffered = null
 let mapImage = null
 let floor = null
 let timestamp = null
-register("command", (str) => {
-    if (!str) return ChatLib.chat(`&cInvalid String! Should be formatted as "F7;147546355;004012...;900199991...`)
-    let split = str.split(";")
-    floor = split[0]
-    timestamp = parseInt(split[1])
+let bloodRoute = null
+/**
+ * Loads a dungeon saved with DungeonMap#toJSON, or a whole run saved by DmapDungeon#toJSON.
+ * @param {String} json - The JSON itself, or the path to a JSON file in the IllegalMap folder
+ * @returns {DungeonMap}
+ */
+const loadJSON = (json) => {
+    if (!json.startsWith("{")) json = FileLib.read("IllegalMap", json)
+    if (!json) throw new Error("File not found")
+
+    const data = JSON.parse(json)
+    return DungeonMap.fromJSON(data.map ?? data)
+}
+
+/**
+ * Loads a dungeon from a map string or a saved dungeon, printing why in chat if it couldn't be.
+ * @param {String} str - A map string, JSON or the path to a JSON file
+ * @returns {DungeonMap | null}
+ */
+export const loadDungeon = (str) => {
+    if (str.startsWith("{") || str.endsWith(".json")) {
+        try {
+            return loadJSON(str)
+        } catch (e) {
+            ChatLib.chat(`&cCould not load the dungeon: ${e.message ?? e}`)
+            return null
+        }
+    }
+
+    try {
+        return DungeonMap.fromString(str)
+    } catch (e) {
+        ChatLib.chat(`&cInvalid String!`)
+        if (!e.errors) ChatLib.chat(`&7 - &c${e}`)
+        else e.errors.forEach(({ code, message }) => ChatLib.chat(`&7 - &c${message} &8(${code})`))
+        return null
+    }
+}
+
+/**
+ * Opens the viewer for a dungeon.
+ * @param {DungeonMap} dungeon 
+ * @param {import("../components/DungeonMap").DungeonMapDiff} diff - Shown on top of the dungeon if given
+ */
+export const viewDungeon = (dungeon, diff=null) => {
+    currentDung = dungeon
+    currentDiff = diff
+    floor = currentDung.floor
+    timestamp = currentDung.timestamp
+    bloodRoute = currentDung.getBloodRoute()
+    if (!floor) return ChatLib.chat(`&cThat dungeon has no floor saved!`)
     
     mapImageBuffered = new BufferedImage(23, 23, BufferedImage.TYPE_4BYTE_ABGR)
-
-    currentDung = DungeonMap.fromString(str)
     currentDung.drawToImage(mapImageBuffered)
 
     if (mapImage) mapImage.destroy()
     mapImage = new Image(mapImageBuffered)
 
     viewerGui.open()
+}
+
+register("command", (...args) => {
+    let str = args.join(" ").trim()
+    if (!str) return ChatLib.chat(`&cInvalid String! Should be formatted as "F7;147546355;004012...;900199991..." or be a saved dungeon (JSON or eg "data/savedRun.json")`)
+
+    const dungeon = loadDungeon(str)
+    if (dungeon) viewDungeon(dungeon)
 }).setName("viewdung")
 
+/**
+ * What the map score is made up of, only showing the parts which count towards it.
+ * @param {import("../utils/MapScoring").MapScoreBreakdown} breakdown 
+ * @returns {String[]}
+ */
+const getBreakdownLines = (breakdown) => {
+    if (!breakdown) return []
+    const round = (a) => Math.floor(a*10)/10
+    const { rooms, puzzles, witherDoors, bloodDistance, deadEnds, weights } = breakdown
+
+    return [
+        weights.rooms ? ` &7Rooms: &6${round(rooms.score)}${rooms.estimated ? ` &8(${rooms.estimated} estimated)` : ""}` : null,
+        weights.puzzles ? ` &7Puzzles: &6${round(puzzles.score)} &8(${puzzles.count})` : null,
+        weights.witherDoors ? ` &7Wither Doors: &6${round(witherDoors.score)} &8(${witherDoors.count})` : null,
+        weights.bloodDistance ? ` &7Blood Distance: &6${round(bloodDistance.score)} &8(${bloodDistance.count ?? "?"})` : null,
+        weights.deadEnds ? ` &7Dead Ends: &6${round(deadEnds.score)} &8(${deadEnds.count})` : null
+    ].filter(a => a !== null)
+}
+
+/**
+ * The way to Blood, with the unopened rooms on it listed by name.
+ * @param {import("../utils/BloodRoute").BloodRouteReport | null} bloodRoute 
+ * @returns {String[]}
+ */
+const getBloodRouteLines = (bloodRoute) => {
+    if (!bloodRoute) return [`&cBlood Route: &7Unknown`]
+    return [
+        `&cBlood Route:`,
+        ` ${getBloodRouteSummary(bloodRoute)}`,
+        ...bloodRoute.unopened.map(room => ` &8- ${room.getName(true)}`)
+    ]
+}
+
+const diffColors = {
+    added: Renderer.color(85, 255, 85, 140),
+    removed: Renderer.color(255, 85, 85, 140),
+    changed: Renderer.color(255, 255, 85, 140),
+    checkmark: Renderer.color(85, 255, 255, 255)
+}
+
+/**
+ * Colors the parts of the map which are different in the diff. Removed rooms aren't on the map anymore so they are drawn where they used to be.
+ * @param {Number} x0 - Where the map is drawn
+ * @param {Number} y0 
+ * @param {Number} cellSize - Size of one pixel of the map image
+ */
+const renderDiff = (x0, y0, cellSize) => {
+    // Grid coordinates are 3 pixels wide for rooms and 1 for the gaps between them
+    const drawComponents = (room, color) => room.components.forEach(([x, z]) => {
+        Renderer.drawRect(color, x0 + x*4*cellSize, y0 + z*4*cellSize, cellSize*3, cellSize*3)
+    })
+    const drawDoor = (door, color) => Renderer.drawRect(color, x0 + (door.gx*2+1)*cellSize, y0 + (door.gz*2+1)*cellSize, cellSize, cellSize)
+
+    currentDiff.rooms.added.forEach(room => drawComponents(room, diffColors.added))
+    currentDiff.rooms.removed.forEach(room => drawComponents(room, diffColors.removed))
+    currentDiff.rooms.changed.forEach(({ to }) => drawComponents(to, diffColors.changed))
+
+    currentDiff.doors.added.forEach(door => drawDoor(door, diffColors.added))
+    currentDiff.doors.removed.forEach(door => drawDoor(door, diffColors.removed))
+    currentDiff.doors.changed.forEach(({ to }) => drawDoor(to, diffColors.changed))
+
+    // A dot in the corner of rooms with a different checkmark
+    currentDiff.checkmarks.forEach(({ to }) => {
+        let [x, z] = to.components[0]
+        Renderer.drawRect(diffColors.checkmark, x0 + x*4*cellSize, y0 + z*4*cellSize, cellSize/2, cellSize/2)
+    })
+}
+
+const getComponentsString = (room) => room.components.map(([x, z]) => `${x},${z}`).join(" ")
+
+/**
+ * The lines listing everything in the diff, shown instead of the room lists.
+ * @returns {String[]}
+ */
+const getDiffLines = () => {
+    const { rooms, doors, checkmarks } = currentDiff
+    const getName = (room) => room.roomID == null ? `&7Unknown (${getComponentsString(room)})` : room.getName(true)
+
+    return [
+        `&a&lAdded (&6${rooms.added.length + doors.added.length}&a&l):`,
+        ...rooms.added.map(a => ` - ${getName(a)}`),
+        doors.added.length ? ` - &7${doors.added.length} door${doors.added.length == 1 ? "" : "s"}` : null,
+        ``,
+        `&c&lRemoved (&6${rooms.removed.length + doors.removed.length}&c&l):`,
+        ...rooms.removed.map(a => ` - ${getName(a)}`),
+        doors.removed.length ? ` - &7${doors.removed.length} door${doors.removed.length == 1 ? "" : "s"}` : null,
+        ``,
+        `&e&lChanged (&6${rooms.changed.length + doors.changed.length}&e&l):`,
+        ...rooms.changed.map(({ from, to, changes }) => ` - ${getName(from)} &7-> ${getName(to)} &8(${changes.join(", ")})`),
+        doors.changed.length ? ` - &7${doors.changed.length} door type${doors.changed.length == 1 ? "" : "s"}` : null,
+        ``,
+        `&b&lCheckmarks (&6${checkmarks.length}&b&l):`,
+        ...checkmarks.map(({ to }) => ` - ${getName(to)}`)
+    ].filter(a => a !== null)
+}
+
 const viewReg = register("renderOverlay", () => {
     if (!floor) return
     // The Dungeon
@@ -51,6 +202,7 @@ const viewReg = register("renderOverlay", () => {
 
     Renderer.drawRect(Renderer.color(0, 0, 0, 175), x0-10, y0-10, Renderer.screen.getWidth() - x0*2 + 20, Renderer.screen.getHeight() - y0*2 + 20)
     mapImage.draw(x0, y0, mapSize, mapSize)
+    if (currentDiff) renderDiff(x0, y0, cellSize)
 
     currentDung.rooms.forEach(room => {
         let [x, y] = room.center
@@ -78,11 +230,13 @@ const viewReg = register("renderOverlay", () => {
     const firstCol = [
         `&7Generated: &8${getTimeSince(timestamp)} &7ago.`,
         `&bMap Score: &6${Math.floor(currentDung.mapScore*10)/10}`,
+        ...getBreakdownLines(currentDung.scoreBreakdown),
         `&fSecrets: &b${currentDung.secrets}`,
         `&aCrypts: &6${currentDung.crypts}`,
         ``,
+        ...getBloodRouteLines(bloodRoute)
     ]
-    const secondCol = [
+    const secondCol = currentDiff ? getDiffLines() : [
         `&d&lPuzzles (&6${puzzles.length}&d&l):`,
         `${puzzleListStr}`,
         ``,
@@ -110,11 +264,20 @@ register("command", (floor) => {
         const logs = readFileLines("IllegalMap", "data/dungeons.txt")
         if (!logs || !logs.length) return ChatLib.chat(`&cNo dungeons logged!`)
 
-        for (let dungeonString of logs) {
-            let [f] = dungeonString.split(";")
-            if (floor && f !== floor.toUpperCase()) continue
-            logMap.set(dungeonString, DungeonMap.fromString(dungeonString))
-        }
+        const skipped = []
+        logs.forEach((dungeonString, i) => {
+            let dung
+            try {
+                dung = DungeonMap.fromString(dungeonString)
+            } catch (e) {
+                skipped.push({ line: i+1, errors: e.errors ?? [{ code: null, message: `${e}` }] })
+                return
+            }
+            if (floor && dung.floor !== floor.toUpperCase()) return
+            logMap.set(dungeonString, dung)
+        })
+
+        printSkippedLines(skipped)
         
         if (!logMap.size) return ChatLib.chat(`&cNo dungeons logged on that floor!`)
 
@@ -0,0 +1,24 @@
+import DmapDungeon from "../components/DmapDungeon"
+import DmapSocket from "../components/DmapSocket"
+import Config from "../utils/Config"
+
+// Streams the map over the WebSocket so that it can be drawn outside of the game.
+// A full snapshot is sent once everything is scanned, after that only the rooms and doors which change are sent.
+
+DmapDungeon.onDungeonAllScanned(dung => {
+    if (!Config().socketStreamMap) return
+
+    DmapSocket.send("mapSnapshot", dung.dungeonMap.getSnapshot())
+})
+
+DmapDungeon.onCheckmarkChanged((room) => {
+    if (!Config().socketStreamMap) return
+
+    DmapSocket.send("mapDelta", { rooms: [room.getSnapshot()], doors: [] })
+})
+
+DmapDungeon.onDoorOpened((door) => {
+    if (!Config().socketStreamMap) return
+
+    DmapSocket.send("mapDelta", { rooms: [], doors: [door.getSnapshot()] })
+})
\ No newline at end of file
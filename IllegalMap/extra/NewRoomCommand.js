@@ -101,10 +101,14 @@ register("command", (name) => {
 }).setName("/deleteroom")
 
 register("command", (roomName) => {
-    roomName = title(roomName.replace(/_/g, " "))
     const currRoom = DmapDungeon.getCurrentRoom()
     if (!currRoom) return ChatLib.chat(`Not in a room!`)
 
+    // Rooms identified by their fingerprint already know which room the new cores are for
+    if (!roomName && currRoom.probable) roomName = currRoom.name
+    if (!roomName) return ChatLib.chat(`&c/newcore <room_name>`)
+    roomName = title(roomName.replace(/_/g, " "))
+
     let cores = scanRoomCores(currRoom)
     let roomData = roomsJson.find(a => a.name == roomName)
     if (!roomData) return ChatLib.chat(`Could not find room data for ${roomName}!`)
@@ -0,0 +1,32 @@
+import Dungeon from "../../BloomCore/dungeons/Dungeon"
+import DmapDungeon from "../components/DmapDungeon"
+import DmapSocket from "../components/DmapSocket"
+import Config from "../utils/Config"
+
+// Swaps scanned rooms and doors with party members connected to the same server, so that rooms nobody
+// has been near yet still show up for everyone who has someone else near them.
+
+let lastShareJson = null
+
+register("step", () => {
+    if (!Config().socketPartyShare || !Dungeon.inDungeon || !Dungeon.floor || !DmapSocket.isOpen()) return
+
+    const share = DmapDungeon.dungeonMap.getShareData()
+
+    // Nothing new to share
+    const shareJson = JSON.stringify(share)
+    if (shareJson == lastShareJson) return
+
+    if (!DmapSocket.send("mapShare", share)) return
+    lastShareJson = shareJson
+}).setFps(1)
+
+DmapSocket.onMessage("mapShare", (share, message) => {
+    if (!Config().socketPartyShare || !Dungeon.inDungeon) return
+    if (message.sender == Player.getName() || !Dungeon.party.has(message.sender)) return
+    if (share.floor !== Dungeon.floor) return
+
+    DmapDungeon.mergeRemoteMap(share)
+}, null)
+
+register("worldUnload", () => lastShareJson = null)
\ No newline at end of file
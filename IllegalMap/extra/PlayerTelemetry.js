@@ -0,0 +1,77 @@
+import Dungeon from "../../BloomCore/dungeons/Dungeon"
+import DmapDungeon from "../components/DmapDungeon"
+import DmapSocket from "../components/DmapSocket"
+import Config from "../utils/Config"
+
+// Sends where each player is and which rooms they go in to over the WebSocket, so that the run can be reconstructed afterwards.
+
+let lastPositionsSent = 0
+let lastPositionsJson = null
+
+// Player name: {room: Room, entered: timestamp}
+const roomEntries = new Map()
+
+const round = (num) => Math.round(num * 10) / 10
+
+register("step", () => {
+    // Positions are still sent while disconnected, the queue only keeps the latest ones until the connection is back
+    if (!Config().socketStreamPlayers || !Config().socketEnabled || !Dungeon.inDungeon) return
+    if (Date.now() - lastPositionsSent < 1000 / Config().socketPositionRate) return
+
+    const players = DmapDungeon.players.map(p => ({
+        name: p.player,
+        x: round(p.realX),
+        z: round(p.realZ),
+        rotation: p.rotation == null ? null : round(p.rotation),
+        inRender: p.inRender,
+        roomID: p.currentRoom?.roomID ?? null,
+        room: p.currentRoom?.name ?? null
+    }))
+
+    // Nobody moved
+    const positionsJson = JSON.stringify(players)
+    if (positionsJson == lastPositionsJson) return
+
+    if (!DmapSocket.send("playerPositions", { players })) return
+    lastPositionsSent = Date.now()
+    lastPositionsJson = positionsJson
+}).setFps(20)
+
+// The player is null for the singleplayer debug events
+const getPlayerName = (player) => player?.player ?? Player.getName()
+
+DmapDungeon.onRoomEnter((player, room) => {
+    const name = getPlayerName(player)
+    roomEntries.set(name, { room, entered: Date.now() })
+
+    if (!Config().socketStreamPlayers) return
+
+    DmapSocket.send("playerRoomEnter", {
+        player: name,
+        roomID: room.roomID,
+        room: room.name,
+        components: room.components.map(([x, z]) => [x, z])
+    })
+})
+
+DmapDungeon.onRoomExit((player, room) => {
+    const name = getPlayerName(player)
+    const entry = roomEntries.get(name)
+    const dwellTime = entry?.room == room ? Date.now() - entry.entered : null
+    roomEntries.delete(name)
+
+    if (!Config().socketStreamPlayers) return
+
+    DmapSocket.send("playerRoomExit", {
+        player: name,
+        roomID: room.roomID,
+        room: room.name,
+        components: room.components.map(([x, z]) => [x, z]),
+        dwellTime
+    })
+})
+
+register("worldUnload", () => {
+    roomEntries.clear()
+    lastPositionsJson = null
+})
\ No newline at end of file
@@ -0,0 +1,147 @@
+import Dungeon from "../../BloomCore/dungeons/Dungeon"
+import { renderBoxOutline } from "../../BloomCore/RenderUtils"
+import { registerWhen, title } from "../../BloomCore/utils/Utils"
+import DmapDungeon from "../components/DmapDungeon"
+import Config from "../utils/Config"
+import { DmapEvents, SecretTypes, prefix } from "../utils/utils"
+
+// Waypoints for the secrets of every room, as {roomID: [{type, pos}]}.
+// pos is the block in room coordinates (see Room#getRoomCoord), so that the same waypoint works no matter how the room is rotated.
+//
+// utils/secrets.json has the waypoints which come with the module and is never written to. Waypoints recorded with //newsecret
+// are saved to data/secrets.json instead so that they aren't lost when the module is updated, and are shown after the bundled ones.
+//
+// Secrets are counted as found when the action bar shows more secrets found in the room, taking the closest waypoints
+// to the player. Levers don't count towards the secrets so they are hidden when they are clicked instead.
+
+const BUNDLED_PATH = "utils/secrets.json"
+const RECORDED_PATH = "data/secrets.json"
+
+// How close to the player a waypoint has to be to be the secret which was just found
+const COLLECT_DISTANCE = 10
+
+const secretColors = new Map([
+    [SecretTypes.CHEST, [1, 0.67, 0]],
+    [SecretTypes.ITEM, [0.33, 0.33, 1]],
+    [SecretTypes.BAT, [0.33, 1, 0.33]],
+    [SecretTypes.ESSENCE, [0.67, 0, 0.67]],
+    [SecretTypes.LEVER, [1, 1, 0.33]]
+])
+
+const validTypes = new Set(Object.values(SecretTypes))
+
+/**
+ * @param {String} path 
+ * @returns {Object<String, {type: String, pos: [Number, Number, Number]}[]>}
+ */
+const readWaypoints = (path) => {
+    try {
+        return JSON.parse(FileLib.read("IllegalMap", path) ?? "{}")
+    } catch (e) {
+        console.error(`Dmap: Could not read ${path}: ${e}`)
+        return {}
+    }
+}
+
+const bundledWaypoints = readWaypoints(BUNDLED_PATH)
+const recordedWaypoints = readWaypoints(RECORDED_PATH)
+
+const saveWaypoints = () => FileLib.write("IllegalMap", RECORDED_PATH, JSON.stringify(recordedWaypoints, null, 4), true)
+
+/**
+ * Every waypoint of a room, the bundled ones first so that recording more doesn't change the indexes of the others.
+ * @param {Number} roomID 
+ * @returns {{type: String, pos: [Number, Number, Number]}[]}
+ */
+const getWaypoints = (roomID) => [...bundledWaypoints[roomID] ?? [], ...recordedWaypoints[roomID] ?? []]
+
+/**
+ * The indexes of the waypoints which have been found in each room this run.
+ * @type {Map<Room, Set<Number>>}
+ */
+const collected = new Map()
+register("worldUnload", () => collected.clear())
+
+/**
+ * The waypoints of a room which haven't been found yet, in world coordinates.
+ * @param {Room} room - Needs its rotation and corner to be known
+ * @returns {{index: Number, type: String, x: Number, y: Number, z: Number}[]}
+ */
+const getShownWaypoints = (room) => {
+    const waypoints = getWaypoints(room.roomID)
+    if (!waypoints.length || room.rotation == null || !room.corner) return []
+
+    // Nothing left to find, but levers might still be needed to get out
+    const allFound = room.hasFoundAllSecrets()
+    const found = collected.get(room)
+
+    return waypoints.reduce((shown, { type, pos }, index) => {
+        if (found?.has(index) || allFound && type !== SecretTypes.LEVER) return shown
+
+        // The corner is at the center of a block, so this is the center of the waypoint's block
+        let [x, y, z] = room.getRealCoord(pos)
+        shown.push({ index, type, x: Math.floor(x), y: Math.floor(y), z: Math.floor(z) })
+        return shown
+    }, [])
+}
+
+/**
+ * @param {Room} room
+ * @param {Number} index
+ */
+const setCollected = (room, index) => {
+    if (!collected.has(room)) collected.set(room, new Set())
+    collected.get(room).add(index)
+}
+
+DmapDungeon.on(DmapEvents.SECRETS_FOUND, (room, found, previous) => {
+    const distance = ({ x, y, z }) => Math.hypot(x+0.5 - Player.getX(), y+0.5 - Player.getY(), z+0.5 - Player.getZ())
+
+    getShownWaypoints(room)
+        .filter(a => a.type !== SecretTypes.LEVER && distance(a) <= COLLECT_DISTANCE)
+        .sort((a, b) => distance(a) - distance(b))
+        .slice(0, found - previous)
+        .forEach(({ index }) => setCollected(room, index))
+})
+
+register("playerInteract", (action) => {
+    if (!Config().secretWaypoints || !Dungeon.inDungeon || action.toString() !== "RIGHT_CLICK_BLOCK") return
+
+    const room = DmapDungeon.getCurrentRoom(true)
+    const block = Player.lookingAt()
+    if (!room || !(block instanceof Block)) return
+
+    const lever = getShownWaypoints(room).find(a => a.type == SecretTypes.LEVER && a.x == block.getX() && a.y == block.getY() && a.z == block.getZ())
+    if (lever) setCollected(room, lever.index)
+})
+
+registerWhen(register("renderWorld", () => {
+    const room = DmapDungeon.getCurrentRoom(true)
+    if (!room) return
+
+    for (let { type, x, y, z } of getShownWaypoints(room)) {
+        let [r, g, b] = secretColors.get(type) ?? [1, 1, 1]
+        renderBoxOutline(x+0.5, y, z+0.5, 1, 1, r, g, b, 1, 2, true)
+        Tessellator.drawString(title(type), x+0.5, y+1.5, z+0.5, Renderer.WHITE, true, 0.5, false)
+    }
+}), () => Config().secretWaypoints && Dungeon.inDungeon && !Dungeon.bossEntry)
+
+register("command", (type) => {
+    type = type?.toLowerCase()
+    if (!validTypes.has(type)) return ChatLib.chat(`&c//newsecret <${[...validTypes].join("|")}>`)
+
+    const room = DmapDungeon.getCurrentRoom(true)
+    if (!room || room.roomID == null) return ChatLib.chat(`${prefix} &cThe room you are in hasn't been identified or its rotation isn't known yet!`)
+
+    const block = Player.lookingAt()
+    if (!(block instanceof Block)) return ChatLib.chat(`${prefix} &cLook at the block the secret is at!`)
+
+    // Measured from the center of the block to the center of the corner block, so the offset is whole blocks and stays on the grid when rotated
+    const pos = room.getRoomCoord([block.getX()+0.5, block.getY(), block.getZ()+0.5]).map(Math.round)
+
+    if (!recordedWaypoints[room.roomID]) recordedWaypoints[room.roomID] = []
+    recordedWaypoints[room.roomID].push({ type, pos })
+    saveWaypoints()
+
+    ChatLib.chat(`${prefix} &aAdded a ${type} waypoint to ${room.getName(true)}&a at &6${pos.join(", ")}&a.`)
+}).setName("/newsecret")
\ No newline at end of file
@@ -0,0 +1,28 @@
+import DmapDungeon from "../components/DmapDungeon"
+import DmapSocket from "../components/DmapSocket"
+import { prefix } from "../utils/utils"
+
+// Requests which can be sent to the mod over the WebSocket. See protocol.schema.json for the payloads.
+
+DmapSocket.onMessage("requestSnapshot", () => DmapDungeon.dungeonMap.getSnapshot(), "mapSnapshot")
+
+DmapSocket.onMessage("requestRunStats", () => DmapDungeon.getRunStats(), "runStats")
+
+DmapSocket.onMessage("highlightRooms", ({ rooms }) => {
+    const found = []
+    const missing = []
+
+    for (let nameOrID of rooms) {
+        let room = typeof nameOrID == "number" ? DmapDungeon.dungeonMap.getRoomFromID(nameOrID) : DmapDungeon.getRoomFromName(nameOrID)
+        if (room) found.push(room)
+        else missing.push(nameOrID)
+    }
+
+    if (missing.length) throw new Error(`Rooms not in this dungeon: ${missing.join(", ")}`)
+
+    DmapDungeon.highlightRooms(found)
+})
+
+DmapSocket.onMessage("chatNotice", ({ message }) => {
+    ChatLib.chat(`${prefix} &r${message}`)
+})
\ No newline at end of file
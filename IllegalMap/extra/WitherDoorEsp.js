@@ -10,9 +10,8 @@ import Room from "../components/Room"; // Assuming Room class is available
 import { renderBoxOutline } from "../../BloomCore/RenderUtils";
 
 
-// --- Import the WebSocket send function ---
-// Make sure the path is correct relative to WitherDoorEsp.js
-import { sendWebSocketMessage } from "../index";
+// --- Import the WebSocket connection ---
+import DmapSocket from "../components/DmapSocket";
 
 // Add necessary Java types
 const AirBlockID = 0; // Minecraft Air block ID
@@ -22,7 +21,7 @@ const TypesToESP = [DoorTypes.WITHER, DoorTypes.BLOOD];
 const FLOOR_Y = 69; // Adjust if the standard dungeon floor level is different
 
 let doorsToRender = []; // Array to hold door objects with calculated foot coords
-let lastSentDoorsJson = null; // Store the last JSON string sent via WebSocket
+let lastSentDoorsJson = null; // Store the last door list sent via WebSocket, as a JSON string
 
 /**
  * Calculates the optimal foot coordinates for approaching a door using block checking.
@@ -200,8 +199,7 @@ register("command", () => {
     } else {
          lastSentGotoCoords = null; // Also reset when disabling
          // Optional: Send a STOP command immediately when disabling?
-         // const stopCommand = { type: "action", action: "STOP", sender: "ChatTriggers", data: {} };
-         // sendWebSocketMessage(JSON.stringify(stopCommand));
+         // DmapSocket.send("action", { action: "STOP", data: {} });
     }
 }).setName("gotodoor").setAliases(["dmapgoto"]); // Choose command name and aliases
 
@@ -243,16 +241,16 @@ register("tick", () => {
     })).filter(d => d.footX !== undefined && d.footZ !== undefined);
 
     if (doorsData.length > 0) {
-        const currentDoorsJson = JSON.stringify({ type: "doorLocations", doors: doorsData });
+        const currentDoorsJson = JSON.stringify(doorsData);
         if (currentDoorsJson !== lastSentDoorsJson) {
-            sendWebSocketMessage(currentDoorsJson);
+            DmapSocket.send("doorLocations", { doors: doorsData });
             lastSentDoorsJson = currentDoorsJson;
         }
     } else {
         if (lastSentDoorsJson !== null) {
-             const emptyListJson = JSON.stringify({ type: "doorLocations", doors: [] });
+             const emptyListJson = "[]";
              if (lastSentDoorsJson !== emptyListJson) {
-                 sendWebSocketMessage(emptyListJson);
+                 DmapSocket.send("doorLocations", { doors: [] });
                  lastSentDoorsJson = emptyListJson;
              }
         }
@@ -290,13 +288,7 @@ register("tick", () => {
 
         // Send GOTO if needed
         if (shouldSendGoto && newGotoCoords) {
-            const gotoCommand = {
-                type: "action",
-                action: "GOTO",
-                sender: "ChatTriggers", // Identify sender
-                data: newGotoCoords
-            };
-            sendWebSocketMessage(JSON.stringify(gotoCommand));
+            DmapSocket.send("action", { action: "GOTO", data: newGotoCoords });
             lastSentGotoCoords = newGotoCoords; // Update the state
             // console.log("Dmap: Sent GOTO command for new target."); // Debug log
         }
@@ -1,106 +1,47 @@
 /// <reference types="../CTAutocomplete" />
 /// <reference lib="es2015" />
 
-// --- WebSocket Import and Setup ---
-import WebSocket from "WebSocket"; // Make sure WebSocket.js is in the correct path or accessible globally
-
-// --- Other Imports ---
+// --- Imports ---
 import Dungeon from "../BloomCore/dungeons/Dungeon";
 import Config, { borderScaleGui, editDungeonInfoGui, mapEditGui } from "./utils/Config";
 import "./extra/ScoreMilestones";
 import "./extra/Mimic";
 import "./extra/StarMobStuff";
-import "./extra/WitherDoorEsp"; // Ensure this is imported *after* WebSocket setup if it needs the ws instance immediately (though it uses it in tick)
+import "./extra/WitherDoorEsp";
 import "./utils/UpdateChecker";
 import "./extra/FirstInstall";
 import "./extra/VisitedCommand";
 import "./extra/DungeonLoggerNew";
 import "./extra/DungeonViewer";
 import "./extra/NewRoomCommand";
+import "./extra/SecretWaypoints";
+import "./extra/SocketCommands";
+import "./extra/MapStream";
+import "./extra/PlayerTelemetry";
+import "./extra/PartyMapShare";
 import "./utils/guiStuff";
 import DmapDungeon from "./components/DmapDungeon";
+import DmapSocket from "./components/DmapSocket";
+import DungeonMap from "./components/DungeonMap";
+import { dungeonCorners, prefix } from "./utils/utils";
+import { createSnapshot, getBlockProvider } from "./utils/BlockProvider";
+import { loadDungeon, viewDungeon } from "./extra/DungeonViewer";
 import { renderInfoSeparate, renderMap, renderMapEditGui } from "./utils/rendering";
 
-// --- WebSocket Instance and State ---
-// Use "ws://localhost:8080" or pull from Config if you make it configurable
-const wsServerUrl = "ws://localhost:8080";
-let ws = null;
-let isWsOpen = false;
-
-// Function to safely send messages, checking connection state
-export const sendWebSocketMessage = (message) => {
-    if (ws && isWsOpen) {
-        try {
-            ws.send(message);
-        } catch (e) {
-            console.error("WebSocket send error: " + e);
-        }
-    }
-};
-
-// Function to initialize WebSocket
-const initializeWebSocket = () => {
-    if (ws) {
-        try {
-            ws.close(); // Close existing connection if any
-        } catch (e) {} // Ignore errors during close
-    }
+// --- WebSocket ---
+// The connection itself is handled in components/DmapSocket.js
 
-    print(`Dmap: Attempting to connect to WebSocket at ${wsServerUrl}...`);
-    ws = new WebSocket(wsServerUrl);
-
-    ws.onOpen = () => {
-        print("Dmap: WebSocket connection opened.");
-        isWsOpen = true;
-        
-        // --- Send identification message ---
-        const identificationMessage = {
-            type: "identification",
-            sender: "illegalsocket" // In your final version, you'd use Player.getName()
-        };
-        sendWebSocketMessage(JSON.stringify(identificationMessage));
-        print(`Dmap: Sent identification as [illegalsocket]`);
-    };
-
-    ws.onMessage = (msg) => {
-        print("Dmap: WebSocket message received: " + msg);
-        // Handle messages from the server if necessary
-    };
-
-    ws.onError = (exception) => {
-        console.error("Dmap: WebSocket error: " + exception);
-        isWsOpen = false;
-        // Optional: Add automatic reconnection logic here after a delay
-        // setTimeout(initializeWebSocket, 5000); // Try to reconnect after 5 seconds
-    };
-
-    ws.onClose = (code, reason) => {
-        print(`Dmap: WebSocket connection closed. Code: ${code}, Reason: ${reason}`);
-        isWsOpen = false;
-        ws = null; // Clear the instance
-        // Optional: Add automatic reconnection logic here after a delay
-        // setTimeout(initializeWebSocket, 5000); // Try to reconnect after 5 seconds
-    };
-
-    try {
-        ws.connect();
-    } catch (e) {
-        console.error("Dmap: WebSocket connection failed immediately: " + e);
-        ws = null;
-        isWsOpen = false;
-        // Optional: Schedule a reconnection attempt
-        // setTimeout(initializeWebSocket, 5000);
-    }
-};
+// Wraps the payload in the message envelope and sends it, or queues it until the connection is back. See utils/protocol.schema.json for the message types.
+export const sendWebSocketMessage = (type, payload) => DmapSocket.send(type, payload);
 
 // Export the state check if needed directly elsewhere (though sendWebSocketMessage is preferred)
-export const isWebSocketOpen = () => isWsOpen;
+export const isWebSocketOpen = () => DmapSocket.isOpen();
 
 // --- Initialize WebSocket on script load (with a guard) ---
 // This guard prevents the script from trying to connect more than once
 // when the module is loaded, which can happen in ChatTriggers.
 if (global.dmapInitialized === undefined) {
-    initializeWebSocket();
+    if (Config().socketEnabled) DmapSocket.connect();
     global.dmapInitialized = true;
 }
 // Rest of index.js
@@ -110,10 +51,75 @@ register("command", (...args) => {
 
     // Used for debugging
     if (args[0] == "reset") DmapDungeon.reset();
-    if (args[0] === "wsreconnect") { // Example command to reconnect manually
-        initializeWebSocket();
+    if (args[0] === "wsreconnect") { // Reconnect manually, eg after changing the server settings
+        DmapSocket.reconnectAttempts = 0;
+        DmapSocket.connect();
         ChatLib.chat("&aAttempting WebSocket reconnection...");
     }
+    if (args[0] === "wsstatus") DmapSocket.printStatus();
+
+    if (args[0] === "bloodroute") {
+        if (args[1] === "clear") return DmapDungeon.clearHighlights();
+
+        const route = DmapDungeon.highlightBloodRoute();
+        if (!route) return ChatLib.chat(`${prefix} &cNo route to Blood found! It might not have been scanned yet.`);
+        ChatLib.chat(`${prefix} &aFastest route to Blood: ${route.map(room => room.getName(true)).join(" &7-> ")}`);
+        ChatLib.chat(`&7Use &f/dmap bloodroute clear &7to remove the highlight.`);
+    }
+
+    if (args[0] === "plan") {
+        if (args[1] === "clear") return DmapDungeon.clearClearPlan();
+        if (!DmapDungeon.dungeonMap.secrets) return ChatLib.chat(`${prefix} &cThe dungeon hasn't been scanned yet!`);
+
+        const plan = DmapDungeon.planClearOrder();
+        if (!plan.secretsNeeded) return ChatLib.chat(`${prefix} &aYou already have enough secrets!`);
+        if (!plan.rooms.length) return ChatLib.chat(`${prefix} &cNo rooms with secrets left to plan with!`);
+
+        ChatLib.chat(`${prefix} &aClear plan for &b${plan.secretsNeeded} &amore secrets:`);
+        plan.rooms.forEach((room, i) => {
+            const secrets = room.getSecretsLeft();
+            ChatLib.chat(`&6#${i+1} &r${room.getName(true)} &7- &b${secrets} &7secret${secrets == 1 ? "" : "s"}${secrets < room.secrets ? " left" : ""}`);
+        });
+        if (plan.secrets < plan.secretsNeeded) ChatLib.chat(`&cOnly &b${plan.secrets} &csecrets could be planned for.`);
+        ChatLib.chat(`&7Use &f/dmap plan clear &7to remove the numbers from the map.`);
+    }
+
+    // Compares two dungeons, or one against the current dungeon
+    if (args[0] === "diff") {
+        if (!args[1]) return ChatLib.chat(`${prefix} &c/dmap diff <mapString> [mapString]`);
+
+        const from = loadDungeon(args[1]);
+        if (!from) return;
+
+        let to = null;
+        if (args[2]) to = loadDungeon(args[2]);
+        else if (DmapDungeon.dungeonMap.rooms.size) to = DungeonMap.fromJSON(DmapDungeon.dungeonMap.toJSON());
+        else return ChatLib.chat(`${prefix} &cNot in a dungeon, give a second map string to compare to!`);
+        if (!to) return;
+
+        const diff = from.diff(to);
+        const total = diff.rooms.added.length + diff.rooms.removed.length + diff.rooms.changed.length + diff.doors.added.length + diff.doors.removed.length + diff.doors.changed.length + diff.checkmarks.length;
+        ChatLib.chat(`${prefix} &aFound &6${total} &adifference${total == 1 ? "" : "s"}.`);
+        viewDungeon(to, diff);
+    }
+
+    // Records the blocks of the dungeon so that the scanner can be run on them later with a SnapshotBlockProvider
+    if (args[0] === "snapshot") {
+        if (!Dungeon.inDungeon) return ChatLib.chat(`${prefix} &cNot in a dungeon!`);
+
+        ChatLib.chat(`${prefix} &aRecording the dungeon, this can take a while...`);
+        new Thread(() => {
+            // Chat messages have to be sent from the game's thread
+            try {
+                const snapshot = createSnapshot(getBlockProvider(), dungeonCorners.start, dungeonCorners.end, [0, 140]);
+                FileLib.write("IllegalMap", "data/snapshot.json", JSON.stringify(snapshot), true);
+                Client.scheduleTask(() => ChatLib.chat(`${prefix} &aSaved &6${Object.keys(snapshot.columns).length} &acolumns to data/snapshot.json.`));
+            } catch (e) {
+                console.error(`Dmap: Could not record the dungeon: ${e}`);
+                Client.scheduleTask(() => ChatLib.chat(`${prefix} &cCould not record the dungeon: ${e}`));
+            }
+        }).start();
+    }
 
 }).setName("dmap");
 
@@ -138,12 +144,6 @@ register("renderOverlay", () => {
 
 // Ensure WebSocket connection is closed cleanly when CT reloads/unloads
 register("gameUnload", () => {
-    if (ws) {
-        print("Dmap: Closing WebSocket connection on game unload.");
-        isWsOpen = false;
-        try {
-            ws.close();
-        } catch(e) {}
-        ws = null;
-    }
+    if (DmapSocket.ws) print("Dmap: Closing WebSocket connection on game unload.");
+    DmapSocket.disconnect();
 });
@@ -0,0 +1,60 @@
+// Run with: node --import ./tests/setup.mjs --test tests/
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { SnapshotBlockProvider, setBlockProvider } from "../utils/BlockProvider.js"
+import { getBloodRouteSummary } from "../utils/BloodRoute.js"
+import { DoorTypes, componentToRealCoords, halfCombinedSize, roomsJson } from "../utils/utils.js"
+import DungeonMap from "../components/DungeonMap.js"
+import Door from "../components/Door.js"
+import Room from "../components/Room.js"
+
+setBlockProvider(new SnapshotBlockProvider({ version: 1, minY: 0, chunks: [], columns: {} }))
+
+//   E = R1 = R2          Entrance at 0,0, two 1x1 rooms and a 2x2 Blood at 2,1 to 3,2
+//             B  B       = are the entrance and wither doors, the blood door is below R2
+//             B  B
+const createDungeon = () => {
+    const dungeonMap = new DungeonMap()
+
+    const addRoom = (components, name) => {
+        const room = new Room(components)
+        if (name) room.loadFromData(roomsJson.find(a => a.name == name))
+        return dungeonMap.addRoom(room)
+    }
+    const addDoor = (gx, gz, type) => dungeonMap.addDoor(new Door(...componentToRealCoords([gx, gz], true), gx, gz).setType(type))
+
+    const entrance = addRoom([[0, 0]], "Entrance")
+    const first = addRoom([[1, 0]])
+    addRoom([[2, 0]])
+    addRoom([[2, 1], [3, 1], [2, 2], [3, 2]], "Blood")
+    addDoor(1, 0, DoorTypes.ENTRANCE)
+    addDoor(3, 0, DoorTypes.WITHER)
+    addDoor(4, 1, DoorTypes.BLOOD)
+
+    entrance.explored = true
+    first.explored = true
+
+    return dungeonMap
+}
+
+test("the blood route goes in straight lines from the center of the Entrance through each door to the center of Blood", () => {
+    const dungeonMap = createDungeon()
+    const report = dungeonMap.getBloodRoute()
+
+    assert.deepEqual(report.rooms.map(room => room.components[0]), [[0, 0], [1, 0], [2, 0], [2, 1]])
+    assert.deepEqual(report.doors.map(door => [door.gx, door.gz]), [[1, 0], [3, 0], [4, 1]])
+    assert.equal(report.witherDoors, 1)
+    assert.deepEqual(report.unopened, report.rooms.slice(2))
+
+    // In grid spots: Entrance 0,0 -> 1,0 -> 3,0 -> 4,1 -> the middle of Blood at 5,3
+    const expected = (1 + 2 + Math.SQRT2 + Math.sqrt(5)) * halfCombinedSize
+    assert.ok(Math.abs(report.distance - expected) < 1e-9, `${report.distance} != ${expected}`)
+    assert.ok(Math.abs(report.time - expected / 5.6) < 1e-9)
+})
+
+test("the blood route summary shows the distance and time as the least they can be", () => {
+    const summary = getBloodRouteSummary(createDungeon().getBloodRoute())
+    assert.equal(summary, "&c1 Wither &7- &b4 rooms &7- &e106+ blocks &8(19s+) &8(2 unopened)")
+})
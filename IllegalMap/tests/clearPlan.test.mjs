@@ -0,0 +1,71 @@
+// Run with: node --import ./tests/setup.mjs --test tests/
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { SnapshotBlockProvider, setBlockProvider } from "../utils/BlockProvider.js"
+import { Checkmark, RoomMap, componentToRealCoords, roomsJson } from "../utils/utils.js"
+import DungeonMap from "../components/DungeonMap.js"
+import Door from "../components/Door.js"
+import Room from "../components/Room.js"
+
+setBlockProvider(new SnapshotBlockProvider({ version: 1, minY: 0, chunks: [], columns: {} }))
+
+/**
+ * A row of 1x1 rooms from 0,0 with doors between them.
+ * @param {{roomID: Number, secrets: Number, foundSecrets: Number | null, checkmark: Number}[]} rooms - After the Entrance
+ * @returns {DungeonMap}
+ */
+const createRow = (rooms) => {
+    const dungeonMap = new DungeonMap()
+
+    const entrance = new Room([[0, 0]])
+    entrance.loadFromData(roomsJson.find(a => a.name == "Entrance"))
+    dungeonMap.addRoom(entrance)
+
+    rooms.forEach(({ roomID, secrets, foundSecrets, checkmark }, i) => {
+        const room = new Room([[i+1, 0]])
+        room.loadFromRoomId(roomID)
+        room.secrets = secrets
+        room.foundSecrets = foundSecrets
+        room.checkmark = checkmark ?? Checkmark.NONE
+        dungeonMap.addRoom(room)
+
+        const door = [i*2+1, 0]
+        dungeonMap.addDoor(new Door(...componentToRealCoords(door, true), ...door))
+    })
+
+    return dungeonMap
+}
+
+test("planClearOrder only counts the secrets which are left in each room", () => {
+    // The closest room has had every secret found without the checkmark turning green yet, the next one has 3 left
+    const [first, second, third] = [...RoomMap.keys()].filter(id => RoomMap.get(id).secrets > 0)
+    const dungeonMap = createRow([
+        { roomID: first, secrets: 4, foundSecrets: 4 },
+        { roomID: second, secrets: 5, foundSecrets: 2 },
+        { roomID: third, secrets: 2, foundSecrets: null }
+    ])
+    const entrance = dungeonMap.getRoomFromName("Entrance")
+
+    const plan = dungeonMap.planClearOrder(entrance, 3)
+    assert.deepEqual(plan.rooms, [dungeonMap.getRoomFromID(second)])
+    assert.equal(plan.secrets, 3)
+
+    // Rooms nobody has counted secrets in yet count all of them
+    const morePlan = dungeonMap.planClearOrder(entrance, 5)
+    assert.deepEqual(morePlan.rooms, [dungeonMap.getRoomFromID(second), dungeonMap.getRoomFromID(third)])
+    assert.equal(morePlan.secrets, 5)
+})
+
+test("planClearOrder skips rooms with a green checkmark", () => {
+    const [first, second] = [...RoomMap.keys()].filter(id => RoomMap.get(id).secrets > 0)
+    const dungeonMap = createRow([
+        { roomID: first, secrets: 4, foundSecrets: null, checkmark: Checkmark.GREEN },
+        { roomID: second, secrets: 5, foundSecrets: 1 }
+    ])
+
+    const plan = dungeonMap.planClearOrder(dungeonMap.getRoomFromName("Entrance"), 10)
+    assert.deepEqual(plan.rooms, [dungeonMap.getRoomFromID(second)])
+    assert.equal(plan.secrets, 4)
+})
@@ -0,0 +1,39 @@
+// The parts of BloomCore's utils which the scanner's modules import. Colors are only stored, nothing is drawn in the tests.
+
+export class Color {
+    constructor(r, g, b, a=1) {
+        this.rgba = [r, g, b, a]
+    }
+    darker() {
+        return new Color(...this.rgba.slice(0, 3).map(v => v*0.7), this.rgba[3])
+    }
+}
+Color.WHITE = new Color(1, 1, 1)
+Color.GREEN = new Color(0, 1, 0)
+Color.YELLOW = new Color(1, 1, 0)
+Color.RED = new Color(1, 0, 0)
+
+export const colorShift = (color1, color2, amount) => new Color(...color1.rgba.map((v, i) => v + (color2.rgba[i] - v) * amount))
+
+/**
+ * Rotates coordinates clockwise around 0, 0 by a multiple of 90 degrees
+ * @param {[Number, Number, Number]} coord
+ * @param {Number} degree
+ * @returns {[Number, Number, Number]}
+ */
+export const rotateCoords = ([x, y, z], degree) => {
+    degree = (degree % 360 + 360) % 360
+    if (degree == 90) return [z, y, -x]
+    if (degree == 180) return [-x, y, -z]
+    if (degree == 270) return [-z, y, x]
+    return [x, y, z]
+}
+
+export const isBetween = (number, a, b) => number >= Math.min(a, b) && number <= Math.max(a, b)
+
+export const readFileLines = (module, path) => FileLib.read(module, path)?.split(/\r?\n/) ?? null
+
+// Minecraft classes, only used in game
+export const Blockk = null
+export const BlockPoss = null
+export const TileEntityChest = class TileEntityChest {}
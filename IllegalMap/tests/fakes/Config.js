@@ -0,0 +1,12 @@
+// Stands in for the Amaterasu config. Every switch is off unless it's set here.
+const settings = {
+    checkmarkStyle: 0,
+    witherDoorColor: [0, 0, 0, 255],
+    scanSetupTree: true
+}
+
+const config = new Proxy(settings, {
+    get: (target, key) => key in target ? target[key] : false
+})
+
+export default () => config
@@ -0,0 +1,11 @@
+// Stands in for BloomCore's Dungeon, as if the player was waiting in a dungeon before the run started
+export default {
+    inDungeon: true,
+    floor: null,
+    floorNumber: null,
+    time: null,
+    bossEntry: null,
+    runStarted: null,
+    players: [],
+    party: []
+}
@@ -0,0 +1,7 @@
+// PogData without saving, the data is only ever the defaults
+export default class PogObject {
+    constructor(module, defaults={}) {
+        Object.assign(this, defaults)
+    }
+    save() {}
+}
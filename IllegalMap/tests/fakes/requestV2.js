@@ -0,0 +1,2 @@
+// There's no network in the tests
+export default () => Promise.reject(new Error("requestV2 isn't available in the tests"))
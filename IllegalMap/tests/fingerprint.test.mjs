@@ -0,0 +1,33 @@
+// Run with: node --import ./tests/setup.mjs --test tests/
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { readFileSync } from "node:fs"
+
+import { SnapshotBlockProvider, setBlockProvider } from "../utils/BlockProvider.js"
+import { FUZZY_THRESHOLD, addFingerprint, getFingerprint } from "../utils/RoomFingerprint.js"
+import { RoomMap } from "../utils/utils.js"
+import Room from "../components/Room.js"
+
+const snapshot = JSON.parse(readFileSync(new URL("./fixtures/smallDungeon.json", import.meta.url), "utf8"))
+
+test("rooms are identified from a stored fingerprint when their core has changed", () => {
+    const roomID = [...RoomMap.values()].find(a => a.shape == "1x1" && a.type == "normal").roomID
+
+    // Learn the fingerprint of the 1x1 room at 1,0, as if it had been identified by its core
+    setBlockProvider(new SnapshotBlockProvider(snapshot))
+    addFingerprint(roomID, getFingerprint(new Room([[1, 0]], 90).realComponents))
+
+    // Then one block in the middle of its roof changes
+    const changed = { ...snapshot, columns: { ...snapshot.columns, "-153,-185": "1*15,4,1*15" } }
+    setBlockProvider(new SnapshotBlockProvider(changed))
+
+    const room = new Room([[1, 0]], 90)
+    assert.equal(room.loadFromFingerprint(new Set()), true)
+    assert.equal(room.roomID, roomID)
+    assert.equal(room.probable, true)
+    assert.ok(room.similarity >= FUZZY_THRESHOLD && room.similarity < 1)
+
+    // Rooms which are already in the dungeon can't be matched again
+    assert.equal(new Room([[1, 0]], 90).loadFromFingerprint(new Set([roomID])), false)
+})
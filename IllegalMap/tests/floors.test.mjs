@@ -0,0 +1,30 @@
+// Run with: node --import ./tests/setup.mjs --test tests/
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { getFloorDimensions } from "../utils/utils.js"
+
+// [width, height] in rooms
+const floors = {
+    E: [4, 4],
+    F1: [4, 5],
+    F2: [5, 5],
+    F3: [5, 5],
+    F4: [6, 5],
+    F5: [6, 6],
+    F6: [6, 6],
+    F7: [6, 6]
+}
+
+test("getFloorDimensions knows the size of every floor", () => {
+    for (let [floor, dimensions] of Object.entries(floors)) {
+        assert.deepEqual(getFloorDimensions(floor), dimensions, floor)
+        if (floor !== "E") assert.deepEqual(getFloorDimensions(floor.replace("F", "M")), dimensions, floor.replace("F", "M"))
+    }
+})
+
+test("getFloorDimensions scans the whole area until the floor is known", () => {
+    assert.deepEqual(getFloorDimensions(null), [6, 6])
+    assert.deepEqual(getFloorDimensions(undefined), [6, 6])
+})
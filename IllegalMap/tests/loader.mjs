@@ -0,0 +1,42 @@
+// Module hooks which let the scanner be imported under plain Node, registered by tests/setup.mjs.
+//
+// ChatTriggers imports leave out the .js and the module files are ES modules without a package.json saying so, so both
+// are filled in here. The other modules IllegalMap imports (BloomCore, PogData etc) and the Amaterasu config aren't
+// available outside the game and are swapped for the fakes in tests/fakes.
+
+import { existsSync } from "node:fs"
+import { dirname, extname, relative, resolve as resolvePath, sep } from "node:path"
+import { fileURLToPath, pathToFileURL } from "node:url"
+
+const ROOT = resolvePath(dirname(fileURLToPath(import.meta.url)), "..")
+const MODULES = dirname(ROOT)
+const FAKES = resolvePath(ROOT, "tests", "fakes")
+
+// Paths relative to the ChatTriggers modules folder, without the .js
+const fakes = new Map([
+    ["BloomCore/dungeons/Dungeon", "Dungeon.js"],
+    ["BloomCore/utils/Utils", "BloomCoreUtils.js"],
+    ["PogData/index", "PogData.js"],
+    ["requestV2", "requestV2.js"],
+    ["IllegalMap/utils/Config", "Config.js"]
+])
+
+const isInRoot = (path) => path.startsWith(ROOT + sep)
+
+export const resolve = async (specifier, context, nextResolve) => {
+    if (!specifier.startsWith(".") || !context.parentURL?.startsWith("file:")) return nextResolve(specifier, context)
+
+    let path = resolvePath(dirname(fileURLToPath(context.parentURL)), specifier)
+    const name = relative(MODULES, path.replace(/\.js$/, "")).split(sep).join("/")
+    if (fakes.has(name)) return { url: pathToFileURL(resolvePath(FAKES, fakes.get(name))).href, shortCircuit: true }
+
+    if (!extname(path) && existsSync(path + ".js")) path += ".js"
+    return nextResolve(pathToFileURL(path).href, context)
+}
+
+export const load = async (url, context, nextLoad) => {
+    if (url.startsWith("file:") && url.endsWith(".js") && isInRoot(fileURLToPath(url))) {
+        return nextLoad(url, { ...context, format: "module" })
+    }
+    return nextLoad(url, context)
+}
@@ -0,0 +1,53 @@
+// Run with: node --import ./tests/setup.mjs --test tests/
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { SnapshotBlockProvider, setBlockProvider } from "../utils/BlockProvider.js"
+import { Checkmark, DoorTypes } from "../utils/utils.js"
+import DungeonMap from "../components/DungeonMap.js"
+
+// Redstone Warrior (1x2) and the wither door below it, as shared by another player's client
+const shared = {
+    rooms: [{ roomID: 21, components: [[2, 2], [3, 2]], checkmark: Checkmark.NONE }],
+    doors: [{ gx: 4, gz: 5, type: DoorTypes.WITHER, opened: false }]
+}
+
+/**
+ * A map which has been scanned with the chunks in the snapshot loaded. There are no blocks in them so nothing is found.
+ * @param {String[] | null} chunks - null for every chunk
+ */
+const scanEmpty = (chunks) => {
+    setBlockProvider(new SnapshotBlockProvider({ version: 1, minY: 0, chunks, columns: {} }))
+    const dungeonMap = new DungeonMap()
+    dungeonMap.scan()
+    return dungeonMap
+}
+
+test("mergeRemote fills in rooms and doors which haven't been scanned", () => {
+    const dungeonMap = scanEmpty([])
+
+    assert.equal(dungeonMap.mergeRemote(shared), true)
+    const room = dungeonMap.getRoomWithComponent([3, 2])
+    assert.equal(room.roomID, 21)
+    assert.deepEqual(room.components, [[2, 2], [3, 2]])
+    assert.equal(dungeonMap.getDoorWithComponent([4, 5]).type, DoorTypes.WITHER)
+})
+
+test("mergeRemote doesn't add anything where the world has been scanned", () => {
+    const dungeonMap = scanEmpty(null)
+
+    assert.equal(dungeonMap.mergeRemote(shared), false)
+    assert.equal(dungeonMap.rooms.size, 0)
+    assert.equal(dungeonMap.doors.size, 0)
+})
+
+test("mergeRemote only takes the parts of a room which haven't been scanned", () => {
+    // Only the chunk with the middle of the part at 2,2 in it is loaded
+    const dungeonMap = scanEmpty(["-8,-8"])
+
+    assert.equal(dungeonMap.mergeRemote(shared), true)
+    const room = dungeonMap.getRoomWithComponent([3, 2])
+    assert.deepEqual(room.components, [[3, 2]])
+    assert.equal(dungeonMap.getRoomWithComponent([2, 2]), null)
+})
@@ -0,0 +1,117 @@
+// Scans tests/fixtures/smallDungeon.json, a snapshot of the top left corner of a dungeon cut down to the columns the scanner reads.
+// Room roofs are at y=90 and doors are 73 high with the door block at y=69, like in a real dungeon.
+//
+//     A -blood- C       A: 1x1 at 0,0 with its rotation marker in the top right corner
+//     |         |       B: 1x2 at 0,1 and 1,1
+//   wither   normal     C: 1x1 at 1,0
+//     |         |
+//     B ------- B
+//
+// Run with: node --import ./tests/setup.mjs --test tests/
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+import { readFileSync } from "node:fs"
+
+import { SnapshotBlockProvider, setBlockProvider } from "../utils/BlockProvider.js"
+import { DoorTypes, RoomMap, RotationSources, getCore } from "../utils/utils.js"
+import DungeonMap from "../components/DungeonMap.js"
+import Door from "../components/Door.js"
+import Room from "../components/Room.js"
+
+const readFixture = (name) => JSON.parse(readFileSync(new URL(`./fixtures/${name}`, import.meta.url), "utf8"))
+const snapshot = readFixture("smallDungeon.json")
+setBlockProvider(new SnapshotBlockProvider(snapshot))
+
+const scanDungeon = () => {
+    const dungeonMap = new DungeonMap()
+    dungeonMap.scan()
+    return dungeonMap
+}
+
+test("scan finds every room and merges the parts of bigger rooms", () => {
+    const dungeonMap = scanDungeon()
+
+    assert.equal(dungeonMap.fullyScanned, true)
+    assert.equal(dungeonMap.rooms.size, 3)
+    assert.deepEqual(dungeonMap.getRoomWithComponent([0, 0]).components, [[0, 0]])
+    assert.deepEqual(dungeonMap.getRoomWithComponent([1, 0]).components, [[1, 0]])
+
+    const roomB = dungeonMap.getRoomWithComponent([0, 1])
+    assert.equal(dungeonMap.getRoomWithComponent([1, 1]), roomB)
+    assert.deepEqual(roomB.components, [[0, 1], [1, 1]])
+    assert.equal(roomB.roofHeight, 90)
+})
+
+test("scan finds the doors between rooms and their types", () => {
+    const dungeonMap = scanDungeon()
+
+    assert.equal(dungeonMap.doors.size, 3)
+    assert.equal(dungeonMap.getDoorWithComponent([0, 1]).type, DoorTypes.WITHER)
+    assert.equal(dungeonMap.getDoorWithComponent([1, 0]).type, DoorTypes.BLOOD)
+    assert.equal(dungeonMap.getDoorWithComponent([2, 1]).type, DoorTypes.NORMAL)
+})
+
+test("findRotation uses the marker in the corner of the roof", () => {
+    const dungeonMap = scanDungeon()
+
+    const roomA = dungeonMap.getRoomWithComponent([0, 0])
+    assert.equal(roomA.rotation, 90)
+    assert.equal(roomA.rotationSource, RotationSources.MARKER)
+    assert.deepEqual(roomA.corner, [-169.5, 90, -199.5])
+
+    // No marker on the roof of the other rooms
+    assert.equal(dungeonMap.getRoomWithComponent([1, 0]).rotation, null)
+})
+
+test("Door.updateType reads the block in the doorway", () => {
+    // The door between A and B in the snapshot has a coal block in it, the one between C and B is open
+    assert.equal(new Door(-185, -169, 0, 1).type, DoorTypes.WITHER)
+    assert.equal(new Door(-153, -169, 2, 1).type, DoorTypes.NORMAL)
+
+    // Unloaded chunks are left alone
+    setBlockProvider(new SnapshotBlockProvider({ ...snapshot, chunks: [] }))
+    const door = new Door(-185, -169, 0, 1)
+    setBlockProvider(new SnapshotBlockProvider(snapshot))
+    assert.equal(door.type, DoorTypes.NORMAL)
+})
+
+// tests/fixtures/twoPartRoom.json is a 1x2 room at 0,0 and 1,0 with each part and the spot between them in their own chunk.
+// Only the roof of the part at 1,0 is known, as a core of Redstone Warrior.
+test("rooms identified from another part keep their roomID registered", () => {
+    const twoPartRoom = readFixture("twoPartRoom.json")
+    const roomData = RoomMap.get(21)
+    const chunks = { unidentified: ["-12,-12"], identified: ["-10,-12"] }
+
+    setBlockProvider(new SnapshotBlockProvider(twoPartRoom))
+    const core = getCore(-153, -185)
+    roomData.cores.push(core)
+
+    try {
+        for (let first of ["unidentified", "identified"]) {
+            const dungeonMap = new DungeonMap()
+
+            // Only one part is loaded at first, then the rest of the room
+            setBlockProvider(new SnapshotBlockProvider({ ...twoPartRoom, chunks: chunks[first] }))
+            dungeonMap.scan()
+            assert.equal(dungeonMap.rooms.size, 1, first)
+            setBlockProvider(new SnapshotBlockProvider(twoPartRoom))
+            dungeonMap.scan()
+
+            const room = dungeonMap.getRoomWithComponent([0, 0])
+            assert.equal(dungeonMap.rooms.size, 1, first)
+            assert.deepEqual(room.components, [[0, 0], [1, 0]], first)
+            assert.equal(room.roomID, 21, first)
+            assert.equal(dungeonMap.roomIDMap.get(21), room, first)
+
+            // Other rooms with the same roomID are merged into it
+            const other = new Room([[1, 0]])
+            other.loadFromRoomId(21)
+            assert.equal(dungeonMap.addRoom(other), room, first)
+            assert.equal(dungeonMap.rooms.size, 1, first)
+        }
+    } finally {
+        roomData.cores.splice(roomData.cores.indexOf(core), 1)
+        setBlockProvider(new SnapshotBlockProvider(snapshot))
+    }
+})
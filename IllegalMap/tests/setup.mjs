@@ -0,0 +1,53 @@
+// Loaded with --import before the tests so that the scanner can run without Minecraft:
+//     node --import ./tests/setup.mjs --test tests/
+//
+// Registers tests/loader.mjs and fills in the ChatTriggers globals which the scanner's modules use when they are loaded.
+// Blocks come from a SnapshotBlockProvider, so nothing here reads the world.
+
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs"
+import { register } from "node:module"
+import { tmpdir } from "node:os"
+import { dirname, join, resolve } from "node:path"
+import { fileURLToPath } from "node:url"
+
+register("./loader.mjs", import.meta.url)
+
+const MODULES = resolve(dirname(fileURLToPath(import.meta.url)), "..", "..")
+
+// Files the modules save, eg data/fingerprints.json, go here instead of over the real ones and are read back from here first
+const WRITTEN = mkdtempSync(join(tmpdir(), "dmap-tests-"))
+process.on("exit", () => rmSync(WRITTEN, { recursive: true, force: true }))
+
+globalThis.FileLib = {
+    read: (module, path) => {
+        const file = [resolve(WRITTEN, module, path), resolve(MODULES, module, path)].find(f => existsSync(f))
+        return file ? readFileSync(file, "utf8") : null
+    },
+    write: (module, path, contents) => {
+        const file = resolve(WRITTEN, module, path)
+        mkdirSync(dirname(file), { recursive: true })
+        writeFileSync(file, contents)
+    }
+}
+
+globalThis.Image = class Image {
+    constructor(name, url) {
+        this.name = name
+        this.url = url
+    }
+}
+
+globalThis.KeyBind = class KeyBind {
+    isKeyDown() {
+        return false
+    }
+    isPressed() {
+        return false
+    }
+}
+
+globalThis.Keyboard = { KEY_NONE: 0 }
+
+globalThis.Renderer = {
+    getStringWidth: (text) => text.length * 6
+}
@@ -0,0 +1,144 @@
+// Builds random dungeons up one room, door or identified room at a time the way scanning does, setting up the tree after
+// every change, and checks that the tree which was updated bit by bit is the same as one set up from scratch.
+//
+// Run with: node --import ./tests/setup.mjs --test tests/
+
+import { test } from "node:test"
+import assert from "node:assert/strict"
+
+import { SnapshotBlockProvider, setBlockProvider } from "../utils/BlockProvider.js"
+import { componentToRealCoords, roomsJson } from "../utils/utils.js"
+import DungeonMap from "../components/DungeonMap.js"
+import Door from "../components/Door.js"
+import Room from "../components/Room.js"
+
+// No blocks are loaded, so doors keep the type they are given
+setBlockProvider(new SnapshotBlockProvider({ version: 1, minY: 0, chunks: [], columns: {} }))
+
+const SIZE = 6
+
+/**
+ * Seeded random numbers from 0-1 (mulberry32) so that failures can be repeated.
+ * @param {Number} seed
+ * @returns {() => Number}
+ */
+const createRandom = (seed) => () => {
+    seed = seed + 0x6D2B79F5 | 0
+    let t = Math.imul(seed ^ seed >>> 15, 1 | seed)
+    t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t
+    return ((t ^ t >>> 14) >>> 0) / 4294967296
+}
+
+const shuffle = (array, random) => {
+    for (let i = array.length - 1; i > 0; i--) {
+        let j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]]
+    }
+    return array
+}
+
+/**
+ * A random layout of 1x1 and 1x2 rooms filling the grid, connected by doors with a few loops.
+ * @returns {{rooms: [Number, Number][][], doors: [Number, Number][]}} The components of each room and the 0-10 spots of the doors
+ */
+const createLayout = (random) => {
+    const owner = new Map() // "x,z": index of the room
+    const rooms = []
+    for (let z = 0; z < SIZE; z++) {
+        for (let x = 0; x < SIZE; x++) {
+            if (owner.has(`${x},${z}`)) continue
+            let components = [[x, z]]
+            if (x < SIZE-1 && !owner.has(`${x+1},${z}`) && random() < 0.25) components.push([x+1, z])
+            components.forEach(c => owner.set(c.join(), rooms.length))
+            rooms.push(components)
+        }
+    }
+
+    // Every spot between two different rooms which a door could be at
+    const spots = []
+    for (let z = 0; z < SIZE; z++) {
+        for (let x = 0; x < SIZE; x++) {
+            if (x < SIZE-1 && owner.get(`${x},${z}`) !== owner.get(`${x+1},${z}`)) spots.push([x*2+1, z*2])
+            if (z < SIZE-1 && owner.get(`${x},${z}`) !== owner.get(`${x},${z+1}`)) spots.push([x*2, z*2+1])
+        }
+    }
+    const roomsBeside = ([gx, gz]) => gx%2 ? [owner.get(`${(gx-1)/2},${gz/2}`), owner.get(`${(gx+1)/2},${gz/2}`)] : [owner.get(`${gx/2},${(gz-1)/2}`), owner.get(`${gx/2},${(gz+1)/2}`)]
+
+    // A spanning tree of the rooms, like a real dungeon, then some extra doors
+    const connected = new Set([0])
+    const doors = []
+    const remaining = shuffle(spots, random)
+    while (connected.size < rooms.length) {
+        let i = remaining.findIndex(spot => roomsBeside(spot).filter(r => connected.has(r)).length == 1)
+        let [spot] = remaining.splice(i, 1)
+        roomsBeside(spot).forEach(r => connected.add(r))
+        doors.push(spot)
+    }
+    doors.push(...remaining.slice(0, Math.floor(random() * 4)))
+
+    return { rooms, doors }
+}
+
+/**
+ * Everything setupTree sets, with rooms and doors named by where they are.
+ * @param {DungeonMap} dungeonMap
+ */
+const describeTree = (dungeonMap) => {
+    const roomName = (room) => room ? JSON.stringify(room.components) : null
+    const doorName = (door) => `${door.gx},${door.gz}`
+    return {
+        rooms: [...dungeonMap.rooms].map(room => ({
+            room: roomName(room),
+            parent: roomName(room.parent),
+            children: room.children.map(roomName),
+            doors: room.doors.map(doorName)
+        })).sort((a, b) => a.room.localeCompare(b.room)),
+        doors: [...dungeonMap.doors].map(door => ({
+            door: doorName(door),
+            type: door.type,
+            parentRoom: roomName(door.parentRoom),
+            childRoom: roomName(door.childRoom)
+        })).sort((a, b) => a.door.localeCompare(b.door))
+    }
+}
+
+test("setting up the tree after each change gives the same tree as setting it up from scratch", () => {
+    const entranceData = roomsJson.find(a => a.name == "Entrance")
+    const bloodData = roomsJson.find(a => a.name == "Blood")
+
+    for (let seed = 1; seed <= 100; seed++) {
+        const random = createRandom(seed)
+        const layout = createLayout(random)
+        const dungeonMap = new DungeonMap()
+        const rooms = new Map() // Index in the layout: Room
+
+        const steps = [
+            ...layout.rooms.map((components, i) => ({ add: i })),
+            ...layout.rooms.flatMap((components, i) => components.slice(1).map(component => ({ grow: i, component }))),
+            ...layout.doors.map(spot => ({ door: spot })),
+            { identify: 0, data: entranceData },
+            { identify: layout.rooms.length-1, data: bloodData }
+        ]
+        shuffle(steps, random)
+
+        while (steps.length) {
+            let step = steps.shift()
+            // Rooms have to be found before they can get bigger or be identified
+            if ((step.grow ?? step.identify) !== undefined && !rooms.has(step.grow ?? step.identify)) {
+                steps.push(step)
+                continue
+            }
+
+            if (step.add !== undefined) rooms.set(step.add, dungeonMap.addRoom(new Room([layout.rooms[step.add][0]])))
+            if (step.grow !== undefined) rooms.get(step.grow).addComponent(step.component)
+            if (step.identify !== undefined) rooms.get(step.identify).loadFromData(step.data)
+            if (step.door) dungeonMap.addDoor(new Door(...componentToRealCoords(step.door, true), ...step.door))
+
+            dungeonMap.setupTree()
+        }
+
+        const updated = describeTree(dungeonMap)
+        dungeonMap.setupTree(true)
+        assert.deepEqual(updated, describeTree(dungeonMap), `seed ${seed}`)
+    }
+})
@@ -0,0 +1,161 @@
+// Where the dungeon scanner gets its blocks from. In game that's the world, but a recorded snapshot of a dungeon
+// can be swapped in with setBlockProvider so that scanning, rotation detection and door types can be checked without Minecraft. See tests/scan.test.mjs.
+//
+// Nothing here touches the ChatTriggers API until a WorldBlockProvider method is called, so this file can be loaded anywhere.
+
+export const SNAPSHOT_VERSION = 1
+
+/**
+ * @typedef {Object} BlockProvider
+ * @property {(x: Number, y: Number, z: Number) => Number} getBlockId - 0 for air
+ * @property {(x: Number, y: Number, z: Number) => Number} getMetadata
+ * @property {(x: Number, y: Number, z: Number) => Boolean} isLoaded - Whether the chunk with this block in it is loaded
+ */
+
+let BlockPos = null
+
+/**
+ * Reads blocks from the world the player is in.
+ * @implements {BlockProvider}
+ */
+export class WorldBlockProvider {
+    getBlockId(x, y, z) {
+        return World.getBlockAt(x, y, z)?.type?.getID() ?? 0
+    }
+
+    getMetadata(x, y, z) {
+        return World.getBlockAt(x, y, z)?.getMetadata() ?? 0
+    }
+
+    isLoaded(x, y, z) {
+        if (!World.getWorld()) return false
+        if (!BlockPos) BlockPos = Java.type("net.minecraft.util.BlockPos")
+        return World.getWorld().func_175726_f(new BlockPos(x, y, z)).func_177410_o()
+    }
+}
+
+/**
+ * Reads blocks from a snapshot made with createSnapshot.
+ *
+ * Snapshot format: {version, minY, chunks, columns}
+ * chunks = the "chunkX,chunkZ" of every loaded chunk, or null if they all are.
+ * columns = "x,z": the blocks in that column from minY up, as runs of "id", "id:meta" or either followed by "*count". Everything above the last run is air.
+ * @implements {BlockProvider}
+ */
+export class SnapshotBlockProvider {
+    /**
+     * @param {Object} snapshot
+     */
+    constructor(snapshot) {
+        if (snapshot?.version !== SNAPSHOT_VERSION) throw new Error(`Unsupported snapshot version ${snapshot?.version}, expected ${SNAPSHOT_VERSION}`)
+
+        this.minY = snapshot.minY
+        this.chunks = snapshot.chunks ? new Set(snapshot.chunks) : null
+        this.columns = snapshot.columns
+
+        /** @type {Map<String, [Number, Number][]>} */
+        this.decoded = new Map() // Columns are only decoded when they are first used
+    }
+
+    /**
+     * @param {Number} x
+     * @param {Number} z
+     * @returns {[Number, Number][]} [id, metadata] for every block in the column from minY up
+     */
+    getColumn(x, z) {
+        const key = `${x},${z}`
+        if (this.decoded.has(key)) return this.decoded.get(key)
+
+        const blocks = []
+        for (let run of (this.columns[key] ?? "").split(",")) {
+            if (!run) continue
+            let [block, count] = run.split("*")
+            let [id, meta] = block.split(":").map(a => parseInt(a))
+            for (let i = 0; i < (count ? parseInt(count) : 1); i++) blocks.push([id, meta || 0])
+        }
+
+        this.decoded.set(key, blocks)
+        return blocks
+    }
+
+    getBlock(x, y, z) {
+        // Blocks in unloaded chunks are air, the same as in game
+        if (!this.isLoaded(x, y, z)) return null
+        return this.getColumn(Math.floor(x), Math.floor(z))[Math.floor(y) - this.minY] ?? null
+    }
+
+    getBlockId(x, y, z) {
+        return this.getBlock(x, y, z)?.[0] ?? 0
+    }
+
+    getMetadata(x, y, z) {
+        return this.getBlock(x, y, z)?.[1] ?? 0
+    }
+
+    isLoaded(x, y, z) {
+        if (!this.chunks) return true
+        return this.chunks.has(`${Math.floor(x) >> 4},${Math.floor(z) >> 4}`)
+    }
+}
+
+/**
+ * Records an area of blocks so that it can be loaded with SnapshotBlockProvider. Unloaded chunks are left out.
+ * This reads every block in the area, so run it on another thread.
+ * @param {BlockProvider} provider
+ * @param {[Number, Number]} start - The x and z of one corner
+ * @param {[Number, Number]} end - And the opposite one
+ * @param {[Number, Number]} heights - The lowest and highest y to record
+ * @returns {Object} The snapshot
+ */
+export const createSnapshot = (provider, [x0, z0], [x1, z1], [minY, maxY]) => {
+    const chunks = new Set()
+    const columns = {}
+
+    for (let x = Math.min(x0, x1); x <= Math.max(x0, x1); x++) {
+        for (let z = Math.min(z0, z1); z <= Math.max(z0, z1); z++) {
+            if (!provider.isLoaded(x, minY, z)) continue
+            chunks.add(`${x >> 4},${z >> 4}`)
+
+            let runs = []
+            let previous = null
+            let count = 0
+            let lastSolid = -1 // Index of the last run which isn't air, to leave out the air above it
+            for (let y = minY; y <= maxY; y++) {
+                let id = provider.getBlockId(x, y, z)
+                let meta = provider.getMetadata(x, y, z)
+                let block = meta ? `${id}:${meta}` : `${id}`
+                if (block == previous) {
+                    count++
+                    continue
+                }
+                if (previous !== null) runs.push(count > 1 ? `${previous}*${count}` : previous)
+                if (previous !== null && previous !== "0") lastSolid = runs.length - 1
+                previous = block
+                count = 1
+            }
+            if (previous !== "0") {
+                runs.push(count > 1 ? `${previous}*${count}` : previous)
+                lastSolid = runs.length - 1
+            }
+
+            if (lastSolid >= 0) columns[`${x},${z}`] = runs.slice(0, lastSolid + 1).join(",")
+        }
+    }
+
+    return { version: SNAPSHOT_VERSION, minY, chunks: [...chunks], columns }
+}
+
+const worldProvider = new WorldBlockProvider()
+let provider = worldProvider
+
+/**
+ * The block provider the scanner is using.
+ * @returns {BlockProvider}
+ */
+export const getBlockProvider = () => provider
+
+/**
+ * Makes the scanner use a different block provider.
+ * @param {BlockProvider | null} newProvider - null to go back to the world
+ */
+export const setBlockProvider = (newProvider) => provider = newProvider ?? worldProvider
\ No newline at end of file
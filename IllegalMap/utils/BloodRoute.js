@@ -0,0 +1,69 @@
+import { DoorTypes, halfCombinedSize } from "./utils"
+
+// The way from the Entrance to Blood, which DungeonMap#setupTree turns the doors of into wither, entrance and blood doors.
+//
+// Dungeons don't have loops so there is only ever one route. The walking distance is measured from where the route goes
+// into and out of each room: from the center of the Entrance to its door, from door to door through every room on the way,
+// and from the last door to the center of Blood (the middle of the whole room, eg of a 2x2 Blood).
+//
+// Each of those is a straight line, so the distance is a lower bound: the real way walks around whatever is in the rooms.
+
+// Blocks per second when sprinting, used for the rush time
+const SPRINT_SPEED = 5.6
+
+/**
+ * @typedef {Object} BloodRouteReport
+ * @property {Room[]} rooms - From the Entrance to Blood
+ * @property {Door[]} doors - The doors between them, in order
+ * @property {Number} witherDoors - Wither doors on the route, not counting the entrance and blood doors
+ * @property {Number} distance - The fewest blocks there are to walk, going in straight lines between the doors
+ * @property {Number} time - The fewest seconds it takes to sprint there, not counting opening the doors
+ * @property {Room[]} unopened - Rooms on the route which nobody has been into yet
+ */
+
+/**
+ * The spot of a room on the 0-10 grid which a route starts or ends at, the middle of the room (Room#center) for bigger rooms.
+ * @param {Room} room
+ * @returns {[Number, Number]}
+ */
+const getRoomCenter = (room) => {
+    const [x, z] = room.center
+    return [x*2, z*2]
+}
+
+/**
+ * The report for a route from DungeonMap#getRoomsTo with includeDoors=true.
+ * @param {(Room | Door)[]} route
+ * @returns {BloodRouteReport}
+ */
+export const getBloodRouteReport = (route) => {
+    const rooms = route.filter((a, i) => i%2 == 0)
+    const doors = route.filter((a, i) => i%2 == 1)
+
+    // Every stop along the way in grid coordinates, one grid spot is half of a room and its door
+    const stops = [getRoomCenter(rooms[0]), ...doors.map(door => [door.gx, door.gz]), getRoomCenter(rooms[rooms.length-1])]
+    let gridDistance = 0
+    for (let i = 1; i < stops.length; i++) {
+        gridDistance += Math.hypot(stops[i][0] - stops[i-1][0], stops[i][1] - stops[i-1][1])
+    }
+    const distance = gridDistance * halfCombinedSize
+
+    return {
+        rooms,
+        doors,
+        witherDoors: doors.filter(door => door.type == DoorTypes.WITHER).length,
+        distance,
+        time: distance / SPRINT_SPEED,
+        unopened: rooms.filter(room => !room.explored)
+    }
+}
+
+/**
+ * The report as a line of text, eg for chat or the dungeon viewer. The distance and time are shown as at least that much, eg "120+ blocks".
+ * @param {BloodRouteReport} report
+ * @returns {String}
+ */
+export const getBloodRouteSummary = (report) => {
+    const unopened = report.unopened.length ? ` &8(${report.unopened.length} unopened)` : ""
+    return `&c${report.witherDoors} Wither &7- &b${report.rooms.length} rooms &7- &e${Math.floor(report.distance)}+ blocks &8(${Math.floor(report.time)}s+)${unopened}`
+}
\ No newline at end of file
@@ -184,6 +184,13 @@ const config = new DefaultConfig("IllegalMap", "data/settings.json")
     configName: "showTotalCrypts",
     subcategory: "Dungeon Info"
 })
+.addSwitch({
+    title: "&cShow Blood Route",
+    description: "Shows how many wither doors there are on the way to Blood in the Dungeon Info, and how many rooms on the way nobody has been into yet.",
+    category: "General",
+    configName: "showBloodRoute",
+    subcategory: "Dungeon Info"
+})
 .addDropDown({
     title: "&7Map Border",
     description: "Displays a border around the map.\n&8- Thanks IcarusPhantom for the RGB code.",
@@ -226,6 +233,60 @@ const config = new DefaultConfig("IllegalMap", "data/settings.json")
     configName: "logDungeonChatInfo",
     subcategory: "Dungeon Logging"
 })
+.addDropDown({
+    title: "Map Score Formula",
+    description: "How the score of each room is worked out for the map score of logged dungeons. Lower map scores are better.\n&aAverage&7: The room's score, or the average of its secret and clear scores.\n&aSecrets&7/&aClear&7: Only the secret or clear score.",
+    category: "General",
+    configName: "mapScoreFormula",
+    options: ["Average", "Secrets", "Clear"],
+    value: 0,
+    subcategory: "Map Scoring"
+})
+.addSlider({
+    title: "Room Weight",
+    description: "How much the scores of the rooms count towards the map score. Rooms which aren't known are given the average score of the rooms they could be.",
+    category: "General",
+    configName: "mapScoreRoomWeight",
+    options: [0, 5],
+    value: 1,
+    subcategory: "Map Scoring"
+})
+.addSlider({
+    title: "Puzzle Weight",
+    description: "Added to the map score for every puzzle.",
+    category: "General",
+    configName: "mapScorePuzzleWeight",
+    options: [0, 10],
+    value: 0,
+    subcategory: "Map Scoring"
+})
+.addSlider({
+    title: "Wither Door Weight",
+    description: "Added to the map score for every wither door.",
+    category: "General",
+    configName: "mapScoreWitherDoorWeight",
+    options: [0, 10],
+    value: 0,
+    subcategory: "Map Scoring"
+})
+.addSlider({
+    title: "Blood Distance Weight",
+    description: "Added to the map score for every room between the Entrance and Blood.",
+    category: "General",
+    configName: "mapScoreBloodDistanceWeight",
+    options: [0, 10],
+    value: 0,
+    subcategory: "Map Scoring"
+})
+.addSlider({
+    title: "Dead End Weight",
+    description: "Added to the map score for every 1x1 room with only one door.",
+    category: "General",
+    configName: "mapScoreDeadEndWeight",
+    options: [0, 10],
+    value: 0,
+    subcategory: "Map Scoring"
+})
 .addSwitch({
     title: "&6Notify Updates",
     description: "Automatically check for updates and notify you when there is a new version of IllegalMap available (Doesn't auto download).",
@@ -350,6 +411,22 @@ const config = new DefaultConfig("IllegalMap", "data/settings.json")
     value: true,
     subcategory: "Room Names"
 })
+.addSwitch({
+    title: "&dShow Room Guesses",
+    description: "Shows what unidentified rooms probably are, based on their shape, doors and the dungeons you have logged on this floor.\nThe &a?&7/&e?&7/&c? &7after the name is how sure the guess is.",
+    category: "Rooms",
+    configName: "showRoomCandidates",
+    value: true,
+    subcategory: "Room Names"
+})
+.addSwitch({
+    title: "&dSuggest New Cores",
+    description: "When a room's core isn't known but it was identified by how similar it is to a known room, say so in chat with a button to add the core with /newcore.\nIdentified rooms like this have a ? after their name.\nRooms are only recognised like this after they have been identified by their core in an earlier run, since that's where their fingerprints are learnt from.",
+    category: "Rooms",
+    configName: "suggestNewCores",
+    value: true,
+    subcategory: "Room Names"
+})
 .addSwitch({
     title: "&dName Color Checkmark State",
     description: "Changes the color of the room's name to match the checkmark state of that room. White for white checkmark, green for green checkmark etc.",
@@ -395,6 +472,21 @@ const config = new DefaultConfig("IllegalMap", "data/settings.json")
     configName: "numberCheckmarks",
     subcategory: "Checkmarks"
 })
+.addSwitch({
+    title: "Secret Progress",
+    description: "Shows the secrets found in each room next to its total, eg 3/5, once someone has been in the room. The number, the checkmark and the room's name turn &baqua &7when every secret has been found.\nUsed by the secret numbers in the corner of rooms and by Numbers Instead.",
+    category: "Rooms",
+    configName: "showSecretProgress",
+    value: true,
+    subcategory: "Checkmarks"
+})
+.addSwitch({
+    title: "&bSecret Waypoints",
+    description: "Shows where the secrets of the room you are in are, once its rotation is known. Waypoints are hidden once the secret has been found.\nNo waypoints come with the module yet, add them with //newsecret <type> while looking at the block. They are saved to data/secrets.json.",
+    category: "Rooms",
+    configName: "secretWaypoints",
+    subcategory: "Secret Waypoints"
+})
 .addSwitch({
     title: "&cWhite Checkmark Blood",
     description: "Puts a white checkmark on blood room once the watcher has finished spawning mobs, but they have not all been killed.",
@@ -489,6 +581,126 @@ const config = new DefaultConfig("IllegalMap", "data/settings.json")
     value: [0, 0, 0, 255],
     subcategory: "Border"
 })
+.addSwitch({
+    title: "&bWebSocket Enabled",
+    description: "Connects to the WebSocket server below and streams dungeon data to it.",
+    category: "Socket",
+    configName: "socketEnabled",
+    value: true,
+    subcategory: "Connection"
+})
+.addTextInput({
+    title: "&bHost",
+    description: "The host of the WebSocket server. Can include the scheme, eg &awss://example.com&7. Defaults to &aws://&7 if not given.\nRun &a/dmap wsreconnect&7 after changing this.",
+    category: "Socket",
+    configName: "socketHost",
+    value: "localhost",
+    placeHolder: "localhost",
+    subcategory: "Connection"
+})
+.addTextInput({
+    title: "&bPort",
+    description: "The port of the WebSocket server. Leave empty to use the default port for the scheme.",
+    category: "Socket",
+    configName: "socketPort",
+    value: "8080",
+    placeHolder: "8080",
+    subcategory: "Connection"
+})
+.addTextInput({
+    title: "&bPath",
+    description: "The path on the WebSocket server to connect to, eg &a/dmap&7.",
+    category: "Socket",
+    configName: "socketPath",
+    value: "",
+    placeHolder: "/",
+    subcategory: "Connection"
+})
+.addTextInput({
+    title: "&bToken",
+    description: "Shared secret sent to the server when connecting, for servers which only accept known clients.\nLeave empty if the server doesn't need one.",
+    category: "Socket",
+    configName: "socketToken",
+    value: "",
+    placeHolder: "",
+    subcategory: "Connection"
+})
+.addSwitch({
+    title: "&eAuto Reconnect",
+    description: "Automatically reconnects when the connection is lost. The delay between attempts doubles each time (with some randomness) up to the max delay below.",
+    category: "Socket",
+    configName: "socketAutoReconnect",
+    value: true,
+    subcategory: "Reconnecting"
+})
+.addSlider({
+    title: "&eMax Reconnect Delay",
+    description: "The longest time in seconds to wait between reconnect attempts.",
+    category: "Socket",
+    configName: "socketMaxBackoff",
+    options: [5, 300],
+    value: 60,
+    subcategory: "Reconnecting"
+})
+.addSlider({
+    title: "&eHeartbeat Interval",
+    description: "How often in seconds to ping the server. If nothing is heard back from the server for two intervals, the connection is assumed dead and is reopened.\nSet to 0 to disable.",
+    category: "Socket",
+    configName: "socketHeartbeat",
+    options: [0, 60],
+    value: 10,
+    subcategory: "Reconnecting"
+})
+.addSlider({
+    title: "&eQueue Size",
+    description: "How many messages to hold on to while disconnected. They are sent in order once the connection is back. When the queue is full the oldest messages are dropped.\nSet to 0 to drop everything sent while disconnected.",
+    category: "Socket",
+    configName: "socketQueueSize",
+    options: [0, 500],
+    value: 100,
+    subcategory: "Reconnecting"
+})
+.addSwitch({
+    title: "&dStream Map",
+    description: "Sends the whole map over the WebSocket once the dungeon has been scanned, then sends the changes as rooms get checkmarks and doors are opened.",
+    category: "Socket",
+    configName: "socketStreamMap",
+    value: true,
+    subcategory: "Streaming"
+})
+.addSwitch({
+    title: "&dStream Players",
+    description: "Sends the position of every player and when they enter or leave rooms over the WebSocket.",
+    category: "Socket",
+    configName: "socketStreamPlayers",
+    value: true,
+    subcategory: "Streaming"
+})
+.addSlider({
+    title: "&dPosition Rate",
+    description: "How many times per second player positions are sent. Positions are only sent when someone has moved.",
+    category: "Socket",
+    configName: "socketPositionRate",
+    options: [1, 20],
+    value: 4,
+    subcategory: "Streaming"
+})
+.addSwitch({
+    title: "&dParty Map Sharing",
+    description: "Shares the rooms and doors you have scanned with party members connected to the same server, and fills in your map with theirs.\nYour own scans always win if they disagree with a teammate's.",
+    category: "Socket",
+    configName: "socketPartyShare",
+    value: false,
+    subcategory: "Party"
+})
+.addSwitch({
+    title: "&aConnection Indicator",
+    description: "Shows a small dot in the corner of the map with the state of the WebSocket connection.\n&aGreen&7: Connected, &eYellow&7: Connecting, &6Orange&7: Waiting to reconnect, &cRed&7: Disconnected.",
+    category: "Socket",
+    configName: "socketStatusIndicator",
+    value: true,
+    subcategory: "HUD"
+})
 .addButton({
     title: "&a&lTenios",
     description: "First person to figure out how the actual score calculation worked and helped a bunch with room hashing idea and some other optimization.",
@@ -0,0 +1,69 @@
+/**
+ * A basic event emitter. Listeners are called in the order they were added, and an error in one
+ * listener is logged without stopping the rest from running.
+ */
+export default class EventEmitter {
+    constructor() {
+        /** @type {Map<String, Function[]>} */
+        this.listeners = new Map()
+    }
+
+    /**
+     * Runs the function every time the event is emitted.
+     * @param {String} event
+     * @param {Function} func
+     * @returns {() => void} Removes the listener again
+     */
+    on(event, func) {
+        if (!this.listeners.has(event)) this.listeners.set(event, [])
+        this.listeners.get(event).push(func)
+        return () => this.off(event, func)
+    }
+
+    /**
+     * Removes a listener added with on or once.
+     * @param {String} event
+     * @param {Function} func
+     */
+    off(event, func) {
+        const listeners = this.listeners.get(event)
+        if (!listeners) return
+
+        const index = listeners.findIndex(f => f == func || f.original == func)
+        if (index !== -1) listeners.splice(index, 1)
+    }
+
+    /**
+     * Runs the function the next time the event is emitted only.
+     * @param {String} event
+     * @param {Function} func
+     * @returns {() => void} Removes the listener again
+     */
+    once(event, func) {
+        const wrapper = (...args) => {
+            this.off(event, wrapper)
+            func(...args)
+        }
+        wrapper.original = func
+        return this.on(event, wrapper)
+    }
+
+    /**
+     * Calls every listener of the event with the arguments given.
+     * @param {String} event
+     * @param  {...any} args
+     */
+    emit(event, ...args) {
+        const listeners = this.listeners.get(event)
+        if (!listeners) return
+
+        // Copied since listeners can remove themselves while being called
+        for (let func of [...listeners]) {
+            try {
+                func(...args)
+            } catch (e) {
+                console.error(`Dmap: Error in "${event}" listener: ${e}`)
+            }
+        }
+    }
+}
\ No newline at end of file
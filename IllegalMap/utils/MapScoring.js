@@ -0,0 +1,157 @@
+import Config from "./Config"
+import { DoorTypes, RoomMap, RoomTypes, RoomTypesStrings } from "./utils"
+
+// How good a dungeon layout is, used for DungeonMap#mapScore by the logger, /logs and the dungeon viewer. Lower is better.
+//
+// The score is the weighted sum of:
+// - rooms: the score of every room from rooms.json, using the formula picked in the config
+// - puzzles: a penalty for every puzzle room
+// - witherDoors: a penalty for every wither door
+// - bloodDistance: how many rooms there are between the Entrance and Blood
+// - deadEnds: every 1x1 room with only one door, not counting Entrance and Blood
+//
+// Rooms which aren't identified get the average score of the rooms they could be.
+
+/**
+ * How the score of each room is worked out, in the same order as the Map Score Formula dropdown in the config.
+ * Every formula falls back to roomScore when a room doesn't have the value it needs.
+ */
+export const RoomScoreFormulas = {
+    AVERAGE: 0, // roomScore, or the average of secretScore and clearScore
+    SECRETS: 1, // secretScore
+    CLEAR: 2 // clearScore
+}
+
+/**
+ * @typedef {Object} ScoringWeights
+ * @property {Number} formula - One of RoomScoreFormulas
+ * @property {Number} rooms
+ * @property {Number} puzzles
+ * @property {Number} witherDoors
+ * @property {Number} bloodDistance
+ * @property {Number} deadEnds
+ */
+
+/**
+ * @typedef {Object} MapScoreBreakdown
+ * @property {Number} total - The map score
+ * @property {{count: Number, estimated: Number, value: Number, score: Number}} rooms - estimated is how many rooms weren't identified
+ * @property {{count: Number, score: Number}} puzzles
+ * @property {{count: Number, score: Number}} witherDoors
+ * @property {{count: Number | null, score: Number}} bloodDistance - count is null if there's no known way from Entrance to Blood
+ * @property {{count: Number, score: Number}} deadEnds
+ * @property {ScoringWeights} weights
+ */
+
+/**
+ * The weights set in the config.
+ * @returns {ScoringWeights}
+ */
+export const getScoringWeights = () => ({
+    formula: Config().mapScoreFormula,
+    rooms: Config().mapScoreRoomWeight,
+    puzzles: Config().mapScorePuzzleWeight,
+    witherDoors: Config().mapScoreWitherDoorWeight,
+    bloodDistance: Config().mapScoreBloodDistanceWeight,
+    deadEnds: Config().mapScoreDeadEndWeight
+})
+
+/**
+ * The score of a room from its rooms.json data.
+ * @param {Object} roomData
+ * @param {Number} formula - One of RoomScoreFormulas
+ * @returns {Number | null} null if the room has none of the values needed
+ */
+export const getRoomDataScore = (roomData, formula) => {
+    if (formula == RoomScoreFormulas.SECRETS && "secretScore" in roomData) return roomData.secretScore
+    if (formula == RoomScoreFormulas.CLEAR && "clearScore" in roomData) return roomData.clearScore
+    if ("roomScore" in roomData) return roomData.roomScore
+    if ("secretScore" in roomData && "clearScore" in roomData) return roomData.secretScore/2 + roomData.clearScore/2
+    return null
+}
+
+/**
+ * The average score of the normal and rare rooms with this shape, for rooms which haven't been identified.
+ * @param {String} shape
+ * @param {Number} formula
+ * @returns {Number}
+ */
+const getEstimatedScore = (shape, formula) => {
+    const scores = [...RoomMap.values()]
+        .filter(a => {
+            let type = RoomTypesStrings.get(a.type)
+            return (type == RoomTypes.NORMAL || type == RoomTypes.RARE) && (a.shape == shape || shape == null)
+        })
+        .map(a => getRoomDataScore(a, formula))
+        .filter(a => a !== null)
+
+    if (!scores.length) return shape == null ? 0 : getEstimatedScore(null, formula)
+    return scores.reduce((a, b) => a + b, 0) / scores.length
+}
+
+/**
+ * The score of a room, estimated if it isn't identified.
+ * @param {Room} room
+ * @param {Number} formula
+ * @returns {{score: Number, estimated: Boolean}}
+ */
+const getRoomScore = (room, formula) => {
+    const roomData = room.roomID == null ? null : RoomMap.get(room.roomID)
+    const score = roomData ? getRoomDataScore(roomData, formula) : null
+    if (score !== null) return { score, estimated: false }
+
+    // Rooms guessed from their shape and doors (see RoomCandidates.js) use the scores of what they could be
+    if (room.candidates?.length) {
+        const total = room.candidates.reduce((a, b) => a + b.confidence * (getRoomDataScore(RoomMap.get(b.roomID), formula) ?? 0), 0)
+        return { score: total, estimated: true }
+    }
+
+    return { score: getEstimatedScore(room.shape, formula), estimated: true }
+}
+
+/**
+ * Whether a room is a 1x1 with only one door.
+ * @param {Room} room
+ * @param {DungeonMap} dungeonMap
+ * @returns {Boolean}
+ */
+const isDeadEnd = (room, dungeonMap) => {
+    if (room.components.length !== 1 || room.type == RoomTypes.ENTRANCE || room.type == RoomTypes.BLOOD) return false
+    const [x, z] = room.components[0]
+    const doors = [[1, 0], [-1, 0], [0, 1], [0, -1]].filter(([dx, dz]) => dungeonMap.getDoorWithComponent([x*2+dx, z*2+dz]))
+    return doors.length == 1
+}
+
+/**
+ * Scores a dungeon layout.
+ * @param {DungeonMap} dungeonMap
+ * @param {ScoringWeights} weights
+ * @returns {MapScoreBreakdown}
+ */
+export const getMapScore = (dungeonMap, weights=getScoringWeights()) => {
+    const rooms = [...dungeonMap.rooms]
+
+    const roomScores = rooms.map(room => getRoomScore(room, weights.formula))
+    const roomValue = roomScores.reduce((a, b) => a + b.score, 0)
+
+    const puzzles = rooms.filter(a => a.type == RoomTypes.PUZZLE).length
+    const witherDoors = [...dungeonMap.doors].filter(a => a.type == DoorTypes.WITHER).length
+    const deadEnds = rooms.filter(room => isDeadEnd(room, dungeonMap)).length
+
+    // Every room and door costs the same so this doesn't need the tree to be set up
+    const bloodRoute = dungeonMap.getRoomsTo(dungeonMap.getRoomFromName("Entrance"), dungeonMap.getRoomFromName("Blood"), false, () => 1)
+    const bloodDistance = bloodRoute ? bloodRoute.length - 1 : null
+
+    const breakdown = {
+        total: 0,
+        rooms: { count: rooms.length, estimated: roomScores.filter(a => a.estimated).length, value: roomValue, score: roomValue * weights.rooms },
+        puzzles: { count: puzzles, score: puzzles * weights.puzzles },
+        witherDoors: { count: witherDoors, score: witherDoors * weights.witherDoors },
+        bloodDistance: { count: bloodDistance, score: (bloodDistance ?? 0) * weights.bloodDistance },
+        deadEnds: { count: deadEnds, score: deadEnds * weights.deadEnds },
+        weights
+    }
+    breakdown.total = breakdown.rooms.score + breakdown.puzzles.score + breakdown.witherDoors.score + breakdown.bloodDistance.score + breakdown.deadEnds.score
+
+    return breakdown
+}
\ No newline at end of file
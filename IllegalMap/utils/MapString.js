@@ -0,0 +1,344 @@
+import { RoomMap } from "./utils"
+
+// The map strings saved to data/dungeons.txt and used by /viewdung.
+//
+// v1 (no version prefix): "floor;timestamp;rooms;doors"
+// Always a 6x6 dungeon. Rooms are room IDs padded to 3 digits, 999 = no room, 998 = unknown room. Doors are a digit each, 9 = no door.
+//
+// v2: "v2;floor;timestamp;WxH;idWidth;rooms;doors[;meta];checksum"
+// WxH = dungeon size in rooms, eg 6x6 or 4x5.
+// idWidth = number of characters per room ID in the rooms section.
+// rooms = a room ID padded to idWidth for every room spot, left to right then top to bottom. "-" repeated = no room, "?" repeated = unknown room.
+// doors = a door type digit for every door spot in the same order, "-" = no door.
+// meta = optional, extra info about the run as "key=value" pairs separated by ",", eg "witherDoors=2,bloodRooms=6,bloodDistance=160".
+// checksum = hash of everything before the last ";", to catch truncated or edited strings.
+
+export const MAP_STRING_VERSION = 2
+
+const NO_ROOM = "-"
+const UNKNOWN_ROOM = "?"
+const NO_DOOR = "-"
+
+const metaKeyPattern = /^\w+$/
+const metaValuePattern = /^[\w.-]+$/
+
+/**
+ * Java's String#hashCode as an unsigned hex string.
+ * @param {String} str
+ * @returns {String}
+ */
+export const getChecksum = (str) => {
+    let hash = 0
+    for (let i = 0; i < str.length; i++) {
+        hash = (31 * hash + str.charCodeAt(i)) | 0
+    }
+    return (hash >>> 0).toString(16)
+}
+
+/**
+ * Calls the function for every room and door spot on a width x height dungeon, in the order they are saved in map strings.
+ * @param {Number} width - Width of the dungeon in rooms
+ * @param {Number} height - Height of the dungeon in rooms
+ * @param {(x: Number, z: Number, isRoom: Boolean) => void} func - x and z are 0-10 grid coordinates
+ */
+export const forEachGridSpot = (width, height, func) => {
+    for (let z = 0; z < height*2-1; z++) {
+        for (let x = 0; x < width*2-1; x++) {
+            if (x%2 && z%2) continue
+            func(x, z, !(x%2 || z%2))
+        }
+    }
+}
+
+/**
+ * @typedef {Object} ParsedMapString
+ * @property {Number} version
+ * @property {String} floor
+ * @property {Number} timestamp
+ * @property {Number} width - In rooms
+ * @property {Number} height
+ * @property {{x: Number, z: Number, roomID: Number | null}[]} rooms - 0-5 room coordinates. A null roomID means the room wasn't identified.
+ * @property {{x: Number, z: Number, type: Number}[]} doors - 0-10 grid coordinates
+ * @property {Object<String, String>} meta - From the meta section, empty if there isn't one
+ */
+
+/**
+ * Creates a v2 map string.
+ * @param {String} floor
+ * @param {Number} timestamp
+ * @param {Number} width - In rooms
+ * @param {Number} height
+ * @param {(x: Number, z: Number) => Number | null | undefined} getRoomID - Given 0-5 room coordinates, returns the room ID there. Null for an unknown room, undefined for no room.
+ * @param {(x: Number, z: Number) => Number | null} getDoorType - Given 0-10 grid coordinates, returns the type of the door there or null if there is none.
+ * @param {Object<String, String | Number>} meta - Saved in the meta section, which is left out if this is empty
+ * @returns {String}
+ */
+export const createMapString = (floor, timestamp, width, height, getRoomID, getDoorType, meta={}) => {
+    const roomIDs = []
+    let doorStr = ""
+
+    forEachGridSpot(width, height, (x, z, isRoom) => {
+        if (isRoom) {
+            roomIDs.push(getRoomID(x/2, z/2))
+            return
+        }
+        const type = getDoorType(x, z)
+        doorStr += type == null ? NO_DOOR : type.toString()
+    })
+
+    const idWidth = Math.max(3, ...roomIDs.filter(a => a != null).map(a => a.toString().length))
+    const roomStr = roomIDs.map(id => {
+        if (id === undefined) return NO_ROOM.repeat(idWidth)
+        if (id === null) return UNKNOWN_ROOM.repeat(idWidth)
+        return "0".repeat(idWidth - id.toString().length) + id
+    }).join("")
+
+    const metaStr = Object.entries(meta).map(([k, v]) => `${k}=${v}`).join(",")
+
+    let str = `v${MAP_STRING_VERSION};${floor};${timestamp};${width}x${height};${idWidth};${roomStr};${doorStr}`
+    if (metaStr) str += `;${metaStr}`
+    return `${str};${getChecksum(str)}`
+}
+
+/**
+ * The codes of the errors found when validating map strings.
+ */
+export const MapStringErrors = {
+    BAD_FORMAT: "badFormat", // Wrong number of sections
+    BAD_CHECKSUM: "badChecksum",
+    BAD_FLOOR: "badFloor",
+    BAD_TIMESTAMP: "badTimestamp",
+    BAD_DIMENSIONS: "badDimensions",
+    ROOM_COUNT: "roomCount", // Rooms section is the wrong length
+    DOOR_COUNT: "doorCount",
+    BAD_ROOM_ID: "badRoomId", // Not a number or sentinel
+    UNKNOWN_ROOM_ID: "unknownRoomId", // Not in rooms.json
+    BAD_DOOR_TYPE: "badDoorType",
+    BAD_META: "badMeta", // Meta section isn't "key=value" pairs
+    NON_CONTIGUOUS_ROOM: "nonContiguousRoom" // The parts of a room aren't all next to each other
+}
+
+/**
+ * @typedef {Object} MapStringError
+ * @property {String} code - One of MapStringErrors
+ * @property {String} message
+ */
+
+const error = (code, message) => ({ code, message })
+
+const validDoorTypes = new Set(["0", "1", "2", "3"])
+
+/**
+ * Checks the floor and timestamp sections, which are in every version.
+ * @param {String} floor
+ * @param {String} timestamp
+ * @param {MapStringError[]} errors - Errors found are added to this
+ */
+const validateHeader = (floor, timestamp, errors) => {
+    if (!/^(?:E|[FM][1-7])$/.test(floor)) errors.push(error(MapStringErrors.BAD_FLOOR, `Invalid floor "${floor}"`))
+    if (!/^\d+$/.test(timestamp)) errors.push(error(MapStringErrors.BAD_TIMESTAMP, `Invalid timestamp "${timestamp}"`))
+}
+
+/**
+ * Checks that every room ID is in rooms.json and that the parts of each room are connected.
+ * @param {ParsedMapString} parsed
+ * @param {MapStringError[]} errors - Errors found are added to this
+ */
+const validateRooms = (parsed, errors) => {
+    const components = new Map() // roomID: ["0,0", "0,1"]
+    for (let { x, z, roomID } of parsed.rooms) {
+        if (roomID == null) continue
+        if (!components.has(roomID)) components.set(roomID, [])
+        components.get(roomID).push(`${x},${z}`)
+    }
+
+    components.forEach((parts, roomID) => {
+        if (!RoomMap.has(roomID)) errors.push(error(MapStringErrors.UNKNOWN_ROOM_ID, `Unknown room ID ${roomID}`))
+
+        // Flood fill from the first part, every other part should be reached
+        const remaining = new Set(parts)
+        const queue = [parts[0]]
+        remaining.delete(parts[0])
+        while (queue.length) {
+            let [x, z] = queue.pop().split(",").map(a => parseInt(a))
+            for (let [dx, dz] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                let key = `${x+dx},${z+dz}`
+                if (!remaining.has(key)) continue
+                remaining.delete(key)
+                queue.push(key)
+            }
+        }
+        if (remaining.size) errors.push(error(MapStringErrors.NON_CONTIGUOUS_ROOM, `Room ${roomID} is split into separate parts`))
+    })
+}
+
+/**
+ * Reads the "key=value" pairs of the meta section.
+ * @param {String} metaStr
+ * @param {MapStringError[]} errors - Errors found are added to this
+ * @returns {Object<String, String>}
+ */
+const parseMeta = (metaStr, errors) => {
+    const meta = {}
+    for (let pair of metaStr.split(",")) {
+        if (!pair) continue
+        let [key, value, ...rest] = pair.split("=")
+        if (rest.length || !metaKeyPattern.test(key) || !metaValuePattern.test(value ?? "")) {
+            errors.push(error(MapStringErrors.BAD_META, `Invalid meta "${pair}"`))
+            continue
+        }
+        meta[key] = value
+    }
+    return meta
+}
+
+const parseV1 = (mapString, errors) => {
+    const parts = mapString.split(";")
+    if (parts.length !== 4) {
+        errors.push(error(MapStringErrors.BAD_FORMAT, `Expected 4 sections, got ${parts.length}`))
+        return null
+    }
+
+    const [floor, timestamp, roomStr, doorStr] = parts
+    validateHeader(floor, timestamp, errors)
+
+    if (roomStr.length !== 36*3) errors.push(error(MapStringErrors.ROOM_COUNT, `Rooms section should be ${36*3} characters long, got ${roomStr.length}`))
+    if (doorStr.length !== 60) errors.push(error(MapStringErrors.DOOR_COUNT, `Doors section should be 60 characters long, got ${doorStr.length}`))
+    if (errors.length) return null
+
+    const parsed = { version: 1, floor, timestamp: parseInt(timestamp), width: 6, height: 6, rooms: [], doors: [], meta: {} }
+
+    let roomIndex = 0
+    let doorIndex = 0
+    forEachGridSpot(6, 6, (x, z, isRoom) => {
+        if (isRoom) {
+            const id = roomStr.substring(roomIndex*3, roomIndex*3+3)
+            roomIndex++
+            if (!/^\d{3}$/.test(id)) return errors.push(error(MapStringErrors.BAD_ROOM_ID, `Invalid room ID "${id}" at ${x/2},${z/2}`))
+
+            const roomID = parseInt(id)
+            if (roomID == 999) return
+            parsed.rooms.push({ x: x/2, z: z/2, roomID: roomID == 998 ? null : roomID })
+            return
+        }
+        const type = doorStr[doorIndex++]
+        if (type == "9") return
+        if (!validDoorTypes.has(type)) return errors.push(error(MapStringErrors.BAD_DOOR_TYPE, `Invalid door type "${type}" at ${x},${z}`))
+        parsed.doors.push({ x, z, type: parseInt(type) })
+    })
+
+    return parsed
+}
+
+const parseV2 = (mapString, errors) => {
+    const parts = mapString.split(";")
+    if (parts.length !== 8 && parts.length !== 9) {
+        errors.push(error(MapStringErrors.BAD_FORMAT, `Expected 8 or 9 sections, got ${parts.length}`))
+        return null
+    }
+
+    const checksum = parts.pop()
+    if (getChecksum(parts.join(";")) !== checksum) errors.push(error(MapStringErrors.BAD_CHECKSUM, `Checksum mismatch, the string was cut off or changed`))
+
+    const [, floor, timestamp, dimensions, idWidthStr, roomStr, doorStr, metaStr] = parts
+    validateHeader(floor, timestamp, errors)
+    const meta = parseMeta(metaStr ?? "", errors)
+
+    const dimMatch = dimensions.match(/^(\d+)x(\d+)$/)
+    const width = dimMatch ? parseInt(dimMatch[1]) : 0
+    const height = dimMatch ? parseInt(dimMatch[2]) : 0
+    if (!width || !height || width > 6 || height > 6) errors.push(error(MapStringErrors.BAD_DIMENSIONS, `Invalid dimensions "${dimensions}"`))
+
+    const idWidth = /^\d+$/.test(idWidthStr) ? parseInt(idWidthStr) : 0
+    if (!idWidth) errors.push(error(MapStringErrors.BAD_FORMAT, `Invalid room ID width "${idWidthStr}"`))
+    if (errors.length) return null
+
+    const roomCount = width * height
+    const doorCount = (width-1) * height + width * (height-1)
+    if (roomStr.length !== roomCount*idWidth) errors.push(error(MapStringErrors.ROOM_COUNT, `Rooms section should be ${roomCount*idWidth} characters long, got ${roomStr.length}`))
+    if (doorStr.length !== doorCount) errors.push(error(MapStringErrors.DOOR_COUNT, `Doors section should be ${doorCount} characters long, got ${doorStr.length}`))
+    if (errors.length) return null
+
+    const parsed = { version: 2, floor, timestamp: parseInt(timestamp), width, height, rooms: [], doors: [], meta }
+
+    const idPattern = new RegExp(`^\\d{${idWidth}}$`)
+    let roomIndex = 0
+    let doorIndex = 0
+    forEachGridSpot(width, height, (x, z, isRoom) => {
+        if (isRoom) {
+            const id = roomStr.substring(roomIndex*idWidth, roomIndex*idWidth+idWidth)
+            roomIndex++
+            if (id == NO_ROOM.repeat(idWidth)) return
+            if (id == UNKNOWN_ROOM.repeat(idWidth)) return parsed.rooms.push({ x: x/2, z: z/2, roomID: null })
+            if (!idPattern.test(id)) return errors.push(error(MapStringErrors.BAD_ROOM_ID, `Invalid room ID "${id}" at ${x/2},${z/2}`))
+
+            parsed.rooms.push({ x: x/2, z: z/2, roomID: parseInt(id) })
+            return
+        }
+        const type = doorStr[doorIndex++]
+        if (type == NO_DOOR) return
+        if (!validDoorTypes.has(type)) return errors.push(error(MapStringErrors.BAD_DOOR_TYPE, `Invalid door type "${type}" at ${x},${z}`))
+        parsed.doors.push({ x, z, type: parseInt(type) })
+    })
+
+    return parsed
+}
+
+/**
+ * Parses a map string of any version and checks it for mistakes.
+ * @param {String} mapString
+ * @returns {{parsed: ParsedMapString | null, errors: MapStringError[]}} parsed is null if any errors were found
+ */
+export const validateMapString = (mapString) => {
+    const errors = []
+    if (typeof mapString !== "string" || !mapString.trim()) {
+        errors.push(error(MapStringErrors.BAD_FORMAT, "Empty map string"))
+        return { parsed: null, errors }
+    }
+
+    mapString = mapString.trim()
+    const parsed = mapString.startsWith("v2;") ? parseV2(mapString, errors) : parseV1(mapString, errors)
+    if (parsed) validateRooms(parsed, errors)
+
+    return { parsed: errors.length ? null : parsed, errors }
+}
+
+/**
+ * Parses a map string of any version.
+ * @param {String} mapString
+ * @returns {ParsedMapString}
+ * @throws {Error} If the string is invalid. The error has the list of MapStringErrors in its errors field.
+ */
+export const parseMapString = (mapString) => {
+    const { parsed, errors } = validateMapString(mapString)
+    if (parsed) return parsed
+
+    const e = new Error(errors.map(a => a.message).join(", "))
+    e.errors = errors
+    throw e
+}
+
+/**
+ * Prints how many lines of a log file were skipped because they were invalid, with why when hovered.
+ * @param {{line: Number, errors: MapStringError[]}[]} skipped - line is the line number, starting at 1
+ */
+export const printSkippedLines = (skipped) => {
+    if (!skipped.length) return
+
+    const maxShown = 20
+    let hover = skipped.slice(0, maxShown).map(({ line, errors }) => `&7Line ${line}: &c${errors.map(a => a.message).join(", ")}`).join("\n")
+    if (skipped.length > maxShown) hover += `\n&7...and ${skipped.length - maxShown} more`
+
+    new TextComponent(`&eSkipped &6${skipped.length} &einvalid line${skipped.length == 1 ? "" : "s"} &7(Hover)`).setHover("show_text", hover).chat()
+}
+
+/**
+ * A string which is the same for two map strings of the same dungeon layout, no matter which version they are or when they were made.
+ * @param {ParsedMapString} parsed
+ * @returns {String}
+ */
+export const getLayoutKey = (parsed) => {
+    const rooms = parsed.rooms.map(({ x, z, roomID }) => `${x},${z}:${roomID ?? "?"}`).join("|")
+    const doors = parsed.doors.map(({ x, z, type }) => `${x},${z}:${type}`).join("|")
+    return `${rooms};${doors}`
+}
\ No newline at end of file
@@ -0,0 +1,124 @@
+// The message format used for everything sent over the WebSocket. See protocol.schema.json for the full schema.
+
+export const PROTOCOL_VERSION = 1
+export const protocolSchema = JSON.parse(FileLib.read("IllegalMap", "utils/protocol.schema.json"))
+
+// Every type listed in the schema
+export const MessageTypes = new Set(protocolSchema.properties.type.enum)
+
+/**
+ * Wraps a payload in the message envelope.
+ * @param {String} type - The message type, must be one of MessageTypes
+ * @param {Object} payload
+ * @param {Number} seq - The sequence number of this message
+ * @param {String} sender
+ * @returns {{v: Number, type: String, seq: Number, ts: Number, sender: String, payload: Object}}
+ */
+export const createMessage = (type, payload, seq, sender) => ({
+    v: PROTOCOL_VERSION,
+    type,
+    seq,
+    ts: Date.now(),
+    sender,
+    payload: payload ?? {}
+})
+
+const getJsonType = (value) => {
+    if (value === null) return "null"
+    if (Array.isArray(value)) return "array"
+    if (typeof value == "number" && Number.isInteger(value)) return "integer"
+    return typeof value
+}
+
+const matchesType = (value, type) => {
+    const actual = getJsonType(value)
+    if (type == "number") return actual == "number" || actual == "integer"
+    return actual == type
+}
+
+const resolveRef = (ref) => {
+    if (!ref.startsWith("#/")) throw new Error(`Unsupported $ref: ${ref}`)
+    return ref.slice(2).split("/").reduce((obj, key) => obj?.[key], protocolSchema)
+}
+
+/**
+ * Validates a value against a JSON schema. Only the parts of JSON Schema used by protocol.schema.json are supported:
+ * type, enum, const, required, properties, additionalProperties, items, minimum, maximum, minLength, $ref, allOf and if/then/else.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {String} path - Where in the message the value is, used for the error messages
+ * @returns {String[]} The errors found, empty if the value is valid
+ */
+export const validateSchema = (value, schema, path="$") => {
+    if (schema.$ref) return validateSchema(value, resolveRef(schema.$ref), path)
+
+    const errors = []
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+        if (!types.some(t => matchesType(value, t))) {
+            errors.push(`${path}: expected ${types.join(" or ")}, got ${getJsonType(value)}`)
+            return errors
+        }
+    }
+
+    if ("const" in schema && value !== schema.const) errors.push(`${path}: must be ${JSON.stringify(schema.const)}`)
+    if (schema.enum && !schema.enum.includes(value)) errors.push(`${path}: ${JSON.stringify(value)} is not one of ${JSON.stringify(schema.enum)}`)
+
+    if (typeof value == "number") {
+        if ("minimum" in schema && value < schema.minimum) errors.push(`${path}: must be at least ${schema.minimum}`)
+        if ("maximum" in schema && value > schema.maximum) errors.push(`${path}: must be at most ${schema.maximum}`)
+    }
+    if (typeof value == "string" && "minLength" in schema && value.length < schema.minLength) {
+        errors.push(`${path}: must be at least ${schema.minLength} characters long`)
+    }
+
+    if (getJsonType(value) == "object") {
+        for (let key of schema.required ?? []) {
+            if (!(key in value)) errors.push(`${path}: missing required property "${key}"`)
+        }
+        const properties = schema.properties ?? {}
+        for (let key of Object.keys(value)) {
+            if (key in properties) errors.push(...validateSchema(value[key], properties[key], `${path}.${key}`))
+            else if (schema.additionalProperties === false) errors.push(`${path}: unexpected property "${key}"`)
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)))
+    }
+
+    for (let subSchema of schema.allOf ?? []) {
+        errors.push(...validateSchema(value, subSchema, path))
+    }
+
+    if (schema.if) {
+        const conditionMet = !validateSchema(value, schema.if, path).length
+        if (conditionMet && schema.then) errors.push(...validateSchema(value, schema.then, path))
+        if (!conditionMet && schema.else) errors.push(...validateSchema(value, schema.else, path))
+    }
+
+    return errors
+}
+
+/**
+ * Validates a full message, envelope and payload.
+ * @param {Object} message
+ * @returns {String[]} The errors found, empty if the message is valid
+ */
+export const validateMessage = (message) => validateSchema(message, protocolSchema)
+
+/**
+ * Parses and validates a raw message received from the server.
+ * @param {String} raw
+ * @returns {{message: Object | null, errors: String[]}}
+ */
+export const parseMessage = (raw) => {
+    let message = null
+    try {
+        message = JSON.parse(raw)
+    } catch (e) {
+        return { message: null, errors: [`Invalid JSON: ${e}`] }
+    }
+    return { message, errors: validateMessage(message) }
+}
\ No newline at end of file
@@ -0,0 +1,190 @@
+import { readFileLines } from "../../BloomCore/utils/Utils"
+import { RoomTypes, RoomTypesStrings, roomsJson } from "./utils"
+import { validateMapString } from "./MapString"
+
+// Guesses which room an unidentified room is from what can be seen on the hotbar map: its shape, the doors around it and its color.
+//
+// The "doors" signature in rooms.json is one digit per side of a 1x1 room, clockwise starting from north when the room
+// has a rotation of 0. Rotating the room shifts the digits along. Bigger rooms have more door spots than four digits can
+// describe, so only the number of doors is compared for them.
+
+const DUNGEON_PATH = "data/dungeons.txt"
+
+// [dx, dz] of the door spot on each side of a room component, in the same order as the door signature
+const sideOffsets = [[0, -1], [1, 0], [0, 1], [-1, 0]]
+
+// Rooms which are never guessed as they are always identified by their map color
+const ignoredTypes = new Set([RoomTypes.BLOOD, RoomTypes.ENTRANCE, RoomTypes.FAIRY])
+
+// How much more likely a room is when the doors match exactly instead of just not contradicting the known doors
+const EXACT_DOORS_WEIGHT = 3
+
+// Gray rooms on the hotbar map only show one component, so a different shape is still possible, just less likely
+const UNKNOWN_SHAPE_WEIGHT = 0.3
+
+/**
+ * @typedef {Object} RoomCandidate
+ * @property {Number} roomID
+ * @property {String} name
+ * @property {Number} score - How well the room fits, before being compared to the other candidates
+ * @property {Number} confidence - 0-1, the share of the total score of every candidate
+ * @property {Number[]} rotations - The rotations (0, 90, 180, 270) the door signature fits in. Empty if it can't be checked.
+ */
+
+/**
+ * Room ID: times seen, for each floor in the dungeon logs. Only read once per floor.
+ * @type {Map<String, {runs: Number, seen: Map<Number, Number>}>}
+ */
+const floorPriors = new Map()
+
+/**
+ * How often each room has shown up on a floor in data/dungeons.txt.
+ * @param {String} floor - eg "F7"
+ * @returns {{runs: Number, seen: Map<Number, Number>}}
+ */
+export const getFloorPriors = (floor) => {
+    if (floorPriors.has(floor)) return floorPriors.get(floor)
+
+    const priors = { runs: 0, seen: new Map() }
+    for (let line of readFileLines("IllegalMap", DUNGEON_PATH) ?? []) {
+        let { parsed } = validateMapString(line)
+        if (!parsed || parsed.floor !== floor) continue
+
+        priors.runs++
+        new Set(parsed.rooms.map(a => a.roomID).filter(a => a !== null)).forEach(id => priors.seen.set(id, (priors.seen.get(id) ?? 0) + 1))
+    }
+
+    floorPriors.set(floor, priors)
+    return priors
+}
+
+/**
+ * Forgets the floor priors so that they are read again, eg after a new dungeon was logged.
+ */
+export const clearFloorPriors = () => floorPriors.clear()
+
+/**
+ * Rotates a door signature clockwise.
+ * @param {String} signature - eg "0110"
+ * @param {Number} rotation - 0, 90, 180 or 270
+ * @returns {String}
+ */
+export const rotateDoorSignature = (signature, rotation) => {
+    const steps = (rotation / 90) % signature.length
+    if (!steps) return signature
+    return signature.slice(-steps) + signature.slice(0, -steps)
+}
+
+/**
+ * The door spots around a room which lead out of it, as 0-10 grid coordinates.
+ * @param {[Number, Number][]} components - 0-5 room coordinates
+ * @returns {[Number, Number][][]} The door spot on each side (north, east, south, west) of every component, null if the side leads into the room itself
+ */
+const getDoorSpots = (components) => components.map(([x, z]) => sideOffsets.map(([dx, dz]) => {
+    if (components.some(c => c[0] == x+dx && c[1] == z+dz)) return null
+    return [x*2+dx, z*2+dz]
+}))
+
+/**
+ * The doors known to be around a room.
+ * @param {Room} room
+ * @param {DungeonMap} dungeonMap
+ * @returns {{signature: String | null, count: Number}} signature is only given for 1x1 rooms
+ */
+export const getKnownDoors = (room, dungeonMap) => {
+    const spots = getDoorSpots(room.components)
+    const hasDoor = (spot) => !!spot && !!dungeonMap.getDoorWithComponent(spot)
+
+    const count = spots.reduce((total, sides) => total + sides.filter(hasDoor).length, 0)
+    if (room.components.length !== 1) return { signature: null, count }
+
+    return { signature: spots[0].map(a => hasDoor(a) ? "1" : "0").join(""), count }
+}
+
+/**
+ * Whether a room from rooms.json can be a room of this type on the map.
+ * @param {Object} roomData
+ * @param {Number} mapType - The type from the room's map color
+ * @returns {Boolean}
+ */
+const typeMatches = (roomData, mapType) => {
+    const type = RoomTypesStrings.get(roomData.type) ?? RoomTypes.NORMAL
+    if (ignoredTypes.has(type)) return false
+    if (mapType == RoomTypes.UNKNOWN) return true
+    // Rare rooms are the same color as normal ones
+    if (mapType == RoomTypes.NORMAL) return type == RoomTypes.NORMAL || type == RoomTypes.RARE
+    return type == mapType
+}
+
+/**
+ * Compares the known doors to a room's door signature.
+ * @param {Object} roomData
+ * @param {{signature: String | null, count: Number}} known
+ * @returns {{weight: Number, rotations: Number[]}} A weight of 0 means the room can't be here
+ */
+const matchDoors = (roomData, known) => {
+    const signature = roomData.doors
+    if (!signature) return { weight: 1, rotations: [] }
+
+    const doorCount = signature.split("").filter(a => a == "1").length
+    if (known.count > doorCount) return { weight: 0, rotations: [] }
+
+    if (!known.signature) return { weight: known.count == doorCount ? EXACT_DOORS_WEIGHT : 1, rotations: [] }
+
+    // Every door seen has to be in the signature. Doors to rooms which haven't been seen yet might be missing.
+    const rotations = [0, 90, 180, 270].filter(rotation => {
+        let rotated = rotateDoorSignature(signature, rotation)
+        return known.signature.split("").every((a, i) => a == "0" || rotated[i] == "1")
+    })
+    if (!rotations.length) return { weight: 0, rotations }
+
+    const exact = rotations.filter(rotation => rotateDoorSignature(signature, rotation) == known.signature)
+    if (exact.length) return { weight: EXACT_DOORS_WEIGHT, rotations: exact }
+
+    return { weight: 1, rotations }
+}
+
+/**
+ * Ranks the rooms an unidentified room could be.
+ * @param {Room} room
+ * @param {DungeonMap} dungeonMap
+ * @param {String} floor - eg "F7", used to favor rooms which show up more often on this floor
+ * @returns {RoomCandidate[]} The best candidate first
+ */
+export const getRoomCandidates = (room, dungeonMap, floor) => {
+    if (room.roomID !== null || !room.components.length || ignoredTypes.has(room.type)) return []
+
+    const known = getKnownDoors(room, dungeonMap)
+    const priors = floor ? getFloorPriors(floor) : null
+
+    // Every room only spawns once per dungeon
+    const identified = new Set([...dungeonMap.rooms].map(a => a.roomID))
+
+    // Gray rooms on the hotbar map don't show their full shape or their doors. Rooms found by the world scan do.
+    const shapeKnown = room.type !== RoomTypes.UNKNOWN || !!room.roofHeight
+
+    const candidates = []
+    for (let roomData of roomsJson) {
+        if (identified.has(roomData.roomID) || !typeMatches(roomData, room.type)) continue
+
+        let score = 1
+        if (roomData.shape !== room.shape) {
+            if (shapeKnown) continue
+            score *= UNKNOWN_SHAPE_WEIGHT
+        }
+
+        let doors = shapeKnown ? matchDoors(roomData, known) : { weight: 1, rotations: [] }
+        if (!doors.weight) continue
+        score *= doors.weight
+
+        // Laplace smoothing so that rooms which haven't been logged on this floor yet can still be guessed
+        if (priors?.runs) score *= ((priors.seen.get(roomData.roomID) ?? 0) + 1) / (priors.runs + 2)
+
+        candidates.push({ roomID: roomData.roomID, name: roomData.name, score, confidence: 0, rotations: doors.rotations })
+    }
+
+    const total = candidates.reduce((a, b) => a + b.score, 0)
+    candidates.forEach(c => c.confidence = c.score / total)
+
+    return candidates.sort((a, b) => b.score - a.score)
+}
\ No newline at end of file
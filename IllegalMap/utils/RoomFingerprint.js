@@ -0,0 +1,144 @@
+import { getColumnIds, hashCode, RoomMap } from "./utils"
+
+// Room identification for when none of a room's cores are in rooms.json, eg because a single block in the core column changed.
+//
+// A fingerprint samples nine columns of every room component: the center and a ring of eight around it. Each column is
+// split into segments which are hashed separately, so one changed block only changes one segment instead of the whole hash.
+// Fingerprints are learnt from rooms which were identified by their core, and saved to data/fingerprints.json.
+// None come with the module, so a room can only be recognised like this once this client has identified it by its core in an
+// earlier run, eg so that it's still recognised after an update changes a block in its core column.
+
+const FINGERPRINTS_PATH = "data/fingerprints.json"
+const FINGERPRINTS_VERSION = 1 // Bump when the sampling changes, older fingerprints can't be compared anymore
+
+const RING_DISTANCE = 8 // Blocks from the center of the component
+const SEGMENT_HEIGHT = 8 // Blocks per hashed segment of a column
+
+// Clockwise from the north-west, so that rotating the room by 90 degrees shifts the ring by two
+const ringOffsets = [[-1, -1], [0, -1], [1, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0]].map(([dx, dz]) => [dx*RING_DISTANCE, dz*RING_DISTANCE])
+
+// How similar a room has to be to a fingerprint to be counted as that room, 0-1
+export const FUZZY_THRESHOLD = 0.8
+
+/**
+ * Component fingerprints for each room ID.
+ * @type {Map<Number, Number[][][]>}
+ */
+const fingerprints = new Map()
+
+const loadFingerprints = () => {
+    try {
+        const data = JSON.parse(FileLib.read("IllegalMap", FINGERPRINTS_PATH) ?? "null")
+        if (!data || data.version !== FINGERPRINTS_VERSION) return
+        Object.entries(data.rooms).forEach(([roomID, fingerprint]) => fingerprints.set(parseInt(roomID), fingerprint))
+    } catch (e) {
+        console.error(`Dmap: Could not read ${FINGERPRINTS_PATH}: ${e}`)
+    }
+}
+loadFingerprints()
+
+const saveFingerprints = () => {
+    const rooms = {}
+    fingerprints.forEach((fingerprint, roomID) => rooms[roomID] = fingerprint)
+    FileLib.write("IllegalMap", FINGERPRINTS_PATH, JSON.stringify({ version: FINGERPRINTS_VERSION, rooms }), true)
+}
+
+/**
+ * Hashes every segment of the column of blocks at these coordinates.
+ * @param {Number} x
+ * @param {Number} z
+ * @returns {Number[]}
+ */
+const getColumnSegments = (x, z) => {
+    const ids = getColumnIds(x, z)
+    const segments = []
+    for (let i = 0; i < ids.length; i += SEGMENT_HEIGHT) {
+        segments.push(hashCode(ids.slice(i, i + SEGMENT_HEIGHT).join(",")))
+    }
+    return segments
+}
+
+/**
+ * Samples the blocks of a room. The chunks of the whole room need to be loaded.
+ * @param {[Number, Number][]} realComponents - The real coordinates of the center of each component
+ * @returns {Number[][][]} For each component, the segments of the center column followed by the eight columns around it
+ */
+export const getFingerprint = (realComponents) => realComponents.map(([x, z]) => [
+    getColumnSegments(x, z),
+    ...ringOffsets.map(([dx, dz]) => getColumnSegments(x+dx, z+dz))
+])
+
+/**
+ * How many segments of two columns are the same.
+ * @param {Number[]} a
+ * @param {Number[]} b
+ * @returns {Number}
+ */
+const countMatching = (a, b) => a.reduce((count, segment, i) => count + (segment == b[i] ? 1 : 0), 0)
+
+/**
+ * Compares two component fingerprints in each of the four rotations.
+ * @param {Number[][]} a
+ * @param {Number[][]} b
+ * @returns {Number} 0-1, the share of segments which match in the best rotation
+ */
+const getComponentSimilarity = (a, b) => {
+    const total = a.reduce((sum, column) => sum + column.length, 0)
+    let best = 0
+    for (let shift = 0; shift < ringOffsets.length; shift += 2) {
+        let matching = countMatching(a[0], b[0])
+        for (let i = 0; i < ringOffsets.length; i++) {
+            matching += countMatching(a[i+1], b[(i + shift) % ringOffsets.length + 1])
+        }
+        best = Math.max(best, matching / total)
+    }
+    return best
+}
+
+/**
+ * How similar a room is to a stored fingerprint. Each stored component is compared to the room's component it is the most similar to,
+ * since which component comes first depends on the room's rotation.
+ * @param {Number[][][]} fingerprint - From getFingerprint
+ * @param {Number[][][]} stored
+ * @returns {Number} 0-1
+ */
+export const getSimilarity = (fingerprint, stored) => {
+    if (fingerprint.length !== stored.length) return 0
+    const total = stored.reduce((sum, component) => sum + Math.max(...fingerprint.map(a => getComponentSimilarity(a, component))), 0)
+    return total / stored.length
+}
+
+/**
+ * Finds the stored fingerprint most similar to this one.
+ * @param {Number[][][]} fingerprint - From getFingerprint
+ * @param {Set<Number>} exclude - Room IDs which can't be the match, eg because they are already in the dungeon
+ * @returns {{roomData: Object, similarity: Number} | null} null if nothing is at least FUZZY_THRESHOLD similar
+ */
+export const findFuzzyMatch = (fingerprint, exclude=new Set()) => {
+    let best = null
+    for (let [roomID, stored] of fingerprints) {
+        if (exclude.has(roomID) || !RoomMap.has(roomID)) continue
+
+        let similarity = getSimilarity(fingerprint, stored)
+        if (similarity < FUZZY_THRESHOLD || best && similarity <= best.similarity) continue
+
+        best = { roomData: RoomMap.get(roomID), similarity }
+    }
+    return best
+}
+
+/**
+ * @param {Number} roomID
+ * @returns {Boolean}
+ */
+export const hasFingerprint = (roomID) => fingerprints.has(roomID)
+
+/**
+ * Stores the fingerprint of a room which was identified by its core.
+ * @param {Number} roomID
+ * @param {Number[][][]} fingerprint
+ */
+export const addFingerprint = (roomID, fingerprint) => {
+    fingerprints.set(roomID, fingerprint)
+    saveFingerprints()
+}
\ No newline at end of file
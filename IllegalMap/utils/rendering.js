@@ -1,6 +1,7 @@
 import DmapDungeon from "../components/DmapDungeon"
+import DmapSocket from "../components/DmapSocket"
 import { editDungeonInfoGui, mapEditGui } from "./Config"
-import { BlueMarker, Checkmark, defaultMapSize, dmapData, getRgb, getRoomPosition, GreenMarker, leapNames, mapCellSize, peekKey, RoomTypes } from "./utils"
+import { BlueMarker, Checkmark, defaultMapSize, dmapData, getRgb, getRoomPosition, GreenMarker, leapNames, mapCellSize, peekKey, RoomTypes, SocketStates } from "./utils"
 import Config from "./Config"
 import Dungeon from "../../BloomCore/dungeons/Dungeon"
 import Room from "../components/Room"
@@ -27,7 +28,7 @@ const renderCheckmark = (room) => {
         }
 
         const textColor = room.checkmark == Checkmark.GREEN ? "&a" : room.checkmark == Checkmark.WHITE ? "&f" : "&7"
-        const text = `${textColor}${room.secrets}`
+        const text = getSecretsText(room, textColor)
 
         Renderer.drawString(text, room.checkmarkX - Renderer.getStringWidth(text)/2, room.checkmarkY - 4)
 
@@ -36,17 +37,69 @@ const renderCheckmark = (room) => {
 
     if (!room.checkmarkImage || room.checkmark == Checkmark.NONE || room.checkmark == Checkmark.UNEXPLORED) return
 
+    // Tint the checkmark aqua when every secret has been found but the room hasn't gone green yet
+    if (hasOnlyCheckmarkLeft(room)) Renderer.colorize(85, 255, 255, 255)
+
     Renderer.drawImage(room.checkmarkImage, -room.checkmarkWidth/2  + room.checkmarkX, -room.checkmarkHeight/2 + room.checkmarkY, room.checkmarkWidth, room.checkmarkHeight)
     Renderer.finishDraw()
 }
 
+/**
+ * Whether every secret in the room has been found while the map doesn't show a green checkmark for it yet
+ * @param {Room} room 
+ * @returns {Boolean}
+ */
+const hasOnlyCheckmarkLeft = (room) => Config().showSecretProgress && room.checkmark !== Checkmark.GREEN && room.hasFoundAllSecrets()
+
+/**
+ * A room's secrets as "found/total" once any have been counted, in a different color when they have all been found
+ * @param {Room} room 
+ * @param {String} color - Used if they haven't all been found
+ * @returns {String}
+ */
+const getSecretsText = (room, color) => {
+    if (!Config().showSecretProgress || room.foundSecrets === null) return `${color}${room.secrets}`
+    if (room.hasFoundAllSecrets()) color = "&b"
+    return `${color}${room.foundSecrets}/${room.secrets}`
+}
+
+/**
+ * The color of the question mark after a guessed room name, from how sure the guess is
+ * @param {Number} confidence - 0-1
+ * @returns {String}
+ */
+const getConfidenceColor = (confidence) => {
+    if (confidence >= 0.6) return "&a"
+    if (confidence >= 0.3) return "&e"
+    return "&c"
+}
+
+/**
+ * The best guess of what an unidentified room is, if guesses are shown
+ * @param {Room} room 
+ */
+const getShownCandidate = (room) => {
+    if (room.name || !Config().showRoomCandidates) return null
+    return room.candidates[0] ?? null
+}
+
 /**
  * 
  * @param {Room} room 
  */
 const renderRoomName = (room) => {
     const TEXT_HEIGHT = 9
-    const nameArr = room.name ? room.name.split(" ") : ["Unknown"]
+    let nameArr = room.name ? room.name.split(" ") : ["Unknown"]
+
+    // Unidentified rooms show their most likely name instead, with a question mark colored by how likely it is
+    const candidate = getShownCandidate(room)
+    if (candidate) {
+        nameArr = candidate.name.split(" ")
+        nameArr[nameArr.length-1] += `${getConfidenceColor(candidate.confidence)}?`
+    }
+    // Rooms identified by their fingerprint might be wrong
+    else if (room.probable) nameArr[nameArr.length-1] += "&e?"
+
     const totalHeight = nameArr.length * TEXT_HEIGHT + (nameArr.length - 1) // Text 10 high, +1 gap between
 
     // Change the text color depending on the checkmark state
@@ -68,6 +121,9 @@ const renderRoomName = (room) => {
         if (room.checkmark == Checkmark.FAILED) {
             textColor = "&4"
         }
+        if (hasOnlyCheckmarkLeft(room)) {
+            textColor = "&b"
+        }
     }
 
     // Render each line one by one so that they can be centered perfectly in both the x and y axis
@@ -86,7 +142,7 @@ const renderRoomName = (room) => {
 }
 
 /**
- * Renders the small secret text at the top left corner of a room showing its max secrets
+ * Renders the small secret text at the top left corner of a room showing its max secrets, or how many have been found
  * @param {Room} room 
  */
 const renderRoomSecrets = (room) => {
@@ -99,7 +155,7 @@ const renderRoomSecrets = (room) => {
     Renderer.translate(renderX, renderY)
     Renderer.scale(0.6)
     
-    Renderer.drawString(`&7${room.secrets}`, 0, 0)
+    Renderer.drawString(getSecretsText(room, "&7"), 0, 0)
 
     // Reset transforms
     Renderer.scale(1/0.6)
@@ -128,6 +184,51 @@ const renderBorder = () => {
     Renderer.drawLine(color, 0, height, width, height, dmapData.border.scale, drawMode)
 }
 
+const socketStateColors = new Map([
+    [SocketStates.DISCONNECTED, Renderer.color(255, 85, 85, 255)],
+    [SocketStates.CONNECTING, Renderer.color(255, 255, 85, 255)],
+    [SocketStates.OPEN, Renderer.color(85, 255, 85, 255)],
+    [SocketStates.RECONNECTING, Renderer.color(255, 170, 0, 255)]
+])
+
+/**
+ * Renders a small dot in the top right corner of the map showing the state of the WebSocket connection
+ */
+const renderSocketStatus = () => {
+    const x = defaultMapSize[0] - mapCellSize / 2
+    const y = mapCellSize / 2
+
+    Renderer.drawCircle(Renderer.color(0, 0, 0, 255), x, y, 1.75, 20, 5)
+    Renderer.drawCircle(socketStateColors.get(DmapSocket.state), x, y, 1.25, 20, 5)
+}
+
+/**
+ * Renders a numbered circle in the top right corner of a room showing where it is in the clear plan (/dmap plan)
+ * @param {Room} room 
+ * @param {Number} number 
+ */
+const renderPlanBadge = (room, number) => {
+    const firstComponent = room.components[0]
+    if (!firstComponent) return
+
+    let [x, y] = getRoomPosition(firstComponent[0], firstComponent[1])
+    const renderX = x + mapCellSize * 1.1
+    const renderY = y - mapCellSize * 1.1
+
+    const color = room.checkmark == Checkmark.GREEN ? Renderer.color(85, 255, 85, 255) : Renderer.color(255, 170, 0, 255)
+    Renderer.drawCircle(Renderer.color(0, 0, 0, 255), renderX, renderY, 3, 20, 5)
+    Renderer.drawCircle(color, renderX, renderY, 2.5, 20, 5)
+
+    const text = `&0${number}`
+    Renderer.translate(renderX, renderY)
+    Renderer.scale(0.5)
+    Renderer.drawString(text, -Renderer.getStringWidth(text)/2, -3.5)
+
+    // Reset transforms
+    Renderer.scale(1/0.5)
+    Renderer.translate(-renderX, -renderY)
+}
+
 /**
  * 
  * @param {DungeonPlayer} player 
@@ -245,6 +346,21 @@ export const renderMapEditGui = () => {
     Renderer.finishDraw()
 }
 
+/**
+ * Smaller dungeons are scaled up and centered on the map instead of being drawn in the top left corner.
+ * @returns {{x: Number, y: Number, scale: Number}} Translate by x and y and then scale to go from a 6x6 map to this dungeon
+ */
+const getDungeonTransform = () => {
+    const { width, height } = DmapDungeon.dungeonMap
+    // Rooms are 3 pixels of the map image with a 1 pixel gap, so a 6x6 dungeon is 23 pixels across
+    const scale = 23 / (Math.max(width, height) * 4 - 1)
+    return {
+        x: (defaultMapSize[0] - (width * 4 - 1) * mapCellSize * scale) / 2 - mapCellSize * scale,
+        y: (defaultMapSize[1] - (height * 4 - 1) * mapCellSize * scale) / 2 - mapCellSize * scale,
+        scale
+    }
+}
+
 export const renderMap = () => {
 
     Renderer.retainTransforms(true)
@@ -268,6 +384,11 @@ export const renderMap = () => {
     const mapWidth = borderW - mapCellSize * 2
     const mapHeight = borderH - mapCellSize * 2
 
+    // Everything in the dungeon is drawn as if it was 6x6 and then moved into place
+    const transform = getDungeonTransform()
+    Renderer.translate(transform.x, transform.y)
+    Renderer.scale(transform.scale)
+
     // And draw the actual map, offset 5px from the top left corner to separate it from the edge of the background
     Renderer.drawImage(DmapDungeon.map, mapCellSize, mapCellSize, mapWidth, mapHeight)
 
@@ -288,22 +409,43 @@ export const renderMap = () => {
             renderRoomName(room)
         }
 
+        // Guesses for unidentified rooms are shown even when room names aren't
+        if (!Config().showRoomNames && !peekKey.isKeyDown() && getShownCandidate(room)) {
+            renderRoomName(room)
+        }
+
         // Render secret count in top left corner of room
         if ((Config().showSecrets || peekKey.isKeyDown()) && (room.type == RoomTypes.NORMAL || room.type == RoomTypes.RARE)) {
             renderRoomSecrets(room)
         }
     })
 
+    // Numbers showing the order to clear rooms in
+    if (DmapDungeon.clearPlan) {
+        DmapDungeon.clearPlan.forEach((room, i) => renderPlanBadge(room, i+1))
+    }
+
+    Renderer.scale(1/transform.scale)
+    Renderer.translate(-transform.x, -transform.y)
+
     // Render the border
     if (Config().mapBorder !== 0) {
         renderBorder()
     }
 
+    // WebSocket connection state
+    if (Config().socketEnabled && Config().socketStatusIndicator) {
+        renderSocketStatus()
+    }
+
     // Render map info
     if (Config().dungeonInfo == 0 || Config().dungeonInfo == 3 && !Dungeon.bossEntry) {
         renderInfoUnderMap()
     }
 
+    Renderer.translate(transform.x, transform.y)
+    Renderer.scale(transform.scale)
+
     // Render the players. The user is rendered last so that they are always ontop of everyone else
     let myPlayer = null
     for (let i = 0; i < DmapDungeon.players.length; i++) {
@@ -326,6 +468,9 @@ export const renderMap = () => {
         renderRadar()
     }
 
+    Renderer.scale(1/transform.scale)
+    Renderer.translate(-transform.x, -transform.y)
+
     // Done rendering the main map stuff
     Renderer.retainTransforms(false)
     Renderer.finishDraw()
@@ -1,8 +1,9 @@
 import Dungeon from "../../BloomCore/dungeons/Dungeon"
-import { Blockk, BlockPoss, Color, getBlock, isBetween, TileEntityChest } from "../../BloomCore/utils/Utils"
+import { Blockk, BlockPoss, Color, isBetween, TileEntityChest } from "../../BloomCore/utils/Utils"
 import PogObject from "../../PogData/index"
 import request from "../../requestV2"
 import Config from "./Config"
+import { getBlockProvider } from "./BlockProvider"
 
 export const prefix = "&8[&bMap&8]"
 export const dmapData = new PogObject("IllegalMap", {
@@ -72,6 +73,26 @@ export const dungeonCorners = {
     end: [-10, -10]
 }
 
+/**
+ * The size of the dungeon in rooms ([width, height]) on every floor. Master Mode floors are the same size as their normal ones.
+ */
+export const FloorDimensions = new Map([
+    ["E", [4, 4]],
+    ["F1", [4, 5]],
+    ["F2", [5, 5]],
+    ["F3", [5, 5]],
+    ["F4", [6, 5]],
+    ["F5", [6, 6]],
+    ["F6", [6, 6]],
+    ["F7", [6, 6]]
+])
+
+/**
+ * @param {String} floor - eg "F7" or "M3"
+ * @returns {[Number, Number]} [width, height] in rooms, 6x6 if the floor isn't known yet
+ */
+export const getFloorDimensions = (floor) => FloorDimensions.get(floor?.replace(/^M/, "F")) ?? [6, 6]
+
 export const dungeonRoomSize = 31
 export const dungeonDoorSize = 1
 export const roomDoorCombinedSize = dungeonRoomSize + dungeonDoorSize
@@ -92,6 +113,15 @@ export const ClearTypes = {
     MINIBOSS: 1
 }
 
+/**
+ * How a room's rotation was found, from the most to the least sure
+ */
+export const RotationSources = {
+    MARKER: 0, // The blue terracotta in one of the roof corners
+    FAIRY: 1, // Fairy rooms are always given a rotation of 0
+    DOORS: 2 // The only rotation the room's door signature in rooms.json fits the doors on the map in
+}
+
 export const Checkmark = {
     NONE: 0,
     WHITE: 1,
@@ -100,9 +130,53 @@ export const Checkmark = {
     UNEXPLORED: 4
 }
 
+/**
+ * The events emitted by DmapDungeon, and the arguments passed to their listeners.
+ */
+export const DmapEvents = {
+    ROOM_ENTER: "roomEnter", // (DungeonPlayer | null, Room) Player is null for the singleplayer debug events
+    ROOM_EXIT: "roomExit", // (DungeonPlayer | null, Room)
+    DUNGEON_SCANNED: "dungeonScanned", // (DmapDungeon)
+    ROOM_CLEARED: "roomCleared", // (Room, DungeonPlayer[]) The players who were in the room when it got its checkmark
+    CHECKMARK_CHANGED: "checkmarkChanged", // (Room, previousCheckmark)
+    SECRETS_FOUND: "secretsFound", // (Room, found, previousFound) When the action bar shows more secrets found in the room you are in
+    DOOR_OPENED: "doorOpened", // (Door)
+    KEY_OBTAINED: "keyObtained", // (keyType, playerName) keyType is "Wither" or "Blood"
+    KEY_USED: "keyUsed", // (keyType, playerName | null) No player name for blood doors
+    MIMIC_KILLED: "mimicKilled", // ()
+    SCORE_MILESTONE: "scoreMilestone", // (milestone, score) When the score first reaches 270 and 300
+    BOSS_ENTRY: "bossEntry", // ()
+    RUN_END: "runEnd" // ()
+}
+
+/**
+ * The kinds of secret waypoints in utils/secrets.json
+ */
+export const SecretTypes = {
+    CHEST: "chest",
+    ITEM: "item",
+    BAT: "bat",
+    ESSENCE: "essence",
+    LEVER: "lever" // Not a secret itself, but opens the way to one
+}
+
+export const SocketStates = {
+    DISCONNECTED: 0,
+    CONNECTING: 1,
+    OPEN: 2,
+    RECONNECTING: 3
+}
+
+export const SocketStateNames = new Map([
+    [SocketStates.DISCONNECTED, "&cDisconnected"],
+    [SocketStates.CONNECTING, "&eConnecting"],
+    [SocketStates.OPEN, "&aConnected"],
+    [SocketStates.RECONNECTING, "&6Reconnecting"]
+])
+
 export const getHighestBlock = (x, z) => {
     for (let y = 255; y > 0; y--) {
-        let id = World.getBlockAt(x, y, z)?.type?.getID()
+        let id = getBlockProvider().getBlockId(x, y, z)
         // Ignore gold blocks too because of Gold room with a random ass gold block on the roof sometimes.
         if (id == 0 || id == 41) continue
         return y
@@ -181,25 +255,27 @@ const blacklisted = [
     54,     // Chest
 ]
 export const hashCode = s => s.split('').reduce((a,b)=>{a=((a<<5)-a)+b.charCodeAt(0);return a&a},0) // From https://stackoverflow.com/a/15710692/15767968
-export const getCore = (x, z) => {
-    let blockIds = ""
+/**
+ * The block IDs in a column of a room from the top down, which the core and fingerprints of rooms are made from.
+ * @param {Number} x 
+ * @param {Number} z 
+ * @returns {Number[]}
+ */
+export const getColumnIds = (x, z) => {
+    const blocks = getBlockProvider()
+    let blockIds = []
     for (let y = 140; y >= 12; y--) {
-        let block = World.getBlockAt(x, y, z)
+        let id = blocks.getBlockId(x, y, z)
         // Blacklisted blocks should just be counted as air.
-        if (blacklisted.includes(block.type.getID())) {
-            blockIds += "0"
-            continue
-        }
-
-        blockIds += block.type.getID()
+        blockIds.push(blacklisted.includes(id) ? 0 : id)
     }
-
-    return hashCode(blockIds)
+    return blockIds
 }
+export const getCore = (x, z) => hashCode(getColumnIds(x, z).join(""))
 export const getClosestRoomCore = ([x, z]) => getRealCoords(getGridCoords([x, z]))
 export const getRoomsFile = () => JSON.parse(FileLib.read("IllegalMap", "utils/rooms.json"))
 
-export const chunkLoaded = ([x, y, z]) => World.getWorld().func_175726_f(new BlockPoss(x, y, z)).func_177410_o()
+export const chunkLoaded = ([x, y, z]) => getBlockProvider().isLoaded(x, y, z)
 export const splitCoord = (str) => str.split(",").map(a => parseFloat(a))
 
 /**